@@ -4,13 +4,64 @@ import chalk from 'chalk'
 import yargs from 'yargs/yargs'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
-import { pad } from 'lodash-es'
-import { readFile } from 'node:fs/promises'
+import { countBy, pad } from 'lodash-es'
+import { watch } from 'node:fs'
+import { readFile, writeFile } from 'node:fs/promises'
 import { DateTime } from 'luxon'
 import { gte } from 'semver'
 import ora from 'ora'
 import { checkNits } from './lib/index.mjs'
 import { getModeByName } from './lib/config/modes.mjs'
+import { loadProjectConfig, readProjectConfig } from './lib/config/project.mjs'
+import { applyBaseline, BASELINE_VERSION, getFingerprint } from './lib/helpers/baseline.mjs'
+import { createDiskCacheStore, getDefaultCacheDir } from './lib/helpers/cache.mjs'
+import { compareResults } from './lib/helpers/compare.mjs'
+import { mapConcurrent } from './lib/helpers/concurrency.mjs'
+import { expandDocumentPaths, getLocalIncludes } from './lib/helpers/files.mjs'
+import { createXMLLocator } from './lib/helpers/location.mjs'
+import { setRemoteCache, setRemoteCacheStore } from './lib/helpers/remote.mjs'
+import { ARCHIVE_URL_DEFAULT, DATATRACKER_URL_DEFAULT, fetchDraft } from './lib/remote/drafts.mjs'
+import { getSeverity, SEVERITIES } from './lib/helpers/severity.mjs'
+import { createHTTPServer } from './lib/http/server.mjs'
+import { startLanguageServer } from './lib/lsp/server.mjs'
+import { formatCompact, formatGitHub, formatHTML, formatJSON, formatJUnit, formatLegacy, formatMarkdown, formatSarif, toJSONNit } from './lib/reporters/index.mjs'
+
+// Path argument reading the document from stdin.
+// -> yargs drops a lone - from positionals, so it is swapped for a placeholder that can't be a real path (NUL character)
+const STDIN_ARG = '-'
+const STDIN_PATH = '\0stdin'
+
+/**
+ * Replace the - arguments standing for stdin with a placeholder.
+ * A - following an option that takes a value is that value (e.g. --filename -), and is kept as-is.
+ *
+ * @param {string[]} args CLI arguments
+ * @param {Object} options Options of the parser, as returned by the yargs getOptions()
+ * @returns {string[]} CLI arguments, with the placeholder
+ */
+function markStdinArgs (args, options) {
+  // -> Boolean options (and their aliases) never take a value
+  const booleanOptions = new Set(options.boolean)
+  for (const [key, aliases] of Object.entries(options.alias)) {
+    if ([key, ...aliases].some(name => booleanOptions.has(name))) {
+      for (const name of [key, ...aliases]) {
+        booleanOptions.add(name)
+      }
+    }
+  }
+  const endOfOptionsIdx = args.indexOf('--')
+  return args.map((arg, idx) => {
+    if (arg !== STDIN_ARG) {
+      return arg
+    }
+    if (endOfOptionsIdx >= 0 && endOfOptionsIdx < idx) {
+      return STDIN_PATH
+    }
+    // -> Grouped short options (e.g. -wm) give their value to the last one
+    const prevOption = args[idx - 1]?.match(/^--([^=]+)$/)?.[1] ?? args[idx - 1]?.match(/^-([^-=]+)$/)?.[1].slice(-1)
+    return prevOption && !prevOption.startsWith('no-') && !booleanOptions.has(prevOption) ? arg : STDIN_PATH
+  })
+}
 
 // Check Node.js version
 if (!gte(process.version, '18.0.0')) {
@@ -19,13 +70,73 @@ if (!gte(process.version, '18.0.0')) {
 }
 
 // Define CLI arguments config
-const argv = yargs(process.argv.slice(2))
+const cliParser = yargs(process.argv.slice(2))
   .scriptName('idnits')
-  .usage('$0 [args] <file-path>')
+  .usage('$0 [args] <file-path..>')
   .example([
     ['$0 draft-ietf-abcd-01.xml', ''],
-    [`$0 -m submission -y ${DateTime.now().year} draft-ietf-abcd-01.xml`, '']
+    ['$0 drafts/ "other/draft-ietf-*.xml"', ''],
+    [`$0 -m submission -y ${DateTime.now().year} draft-ietf-abcd-01.xml`, ''],
+    ['$0 --watch draft-ietf-abcd-01.xml', ''],
+    ['cat draft-ietf-abcd-01.txt | $0 --filename draft-ietf-abcd-01.txt -', ''],
+    ['$0 --fetch draft-ietf-abcd', ''],
+    ['$0 compare draft-ietf-abcd-01.xml draft-ietf-abcd-02.xml', ''],
+    ['$0 lsp', ''],
+    ['$0 serve --port 8080 --offline', '']
   ])
+  .option('archive-url', {
+    default: ARCHIVE_URL_DEFAULT,
+    describe: 'Base URL of the Internet-Drafts archive, to download documents from with --fetch',
+    type: 'string'
+  })
+  .option('baseline', {
+    alias: 'b',
+    describe: 'Only report nits not listed in the given baseline file. The file is created from the current results if it doesn\'t exist.',
+    type: 'string',
+    normalize: true
+  })
+  .option('cache-dir', {
+    describe: 'Directory where responses of remote lookups are cached between runs',
+    defaultDescription: '$XDG_CACHE_HOME/idnits or ~/.cache/idnits',
+    type: 'string',
+    normalize: true
+  })
+  .option('concurrency', {
+    default: 4,
+    describe: 'Maximum number of documents validated at the same time',
+    coerce: val => {
+      if (!Number.isInteger(val) || val < 1) {
+        throw new Error('The --concurrency argument must be an integer of 1 or more.')
+      }
+      return val
+    },
+    type: 'number'
+  })
+  .option('config', {
+    alias: 'c',
+    describe: 'Path to a project config file. Defaults to the closest .idnitsrc found from the document directory.',
+    type: 'string',
+    normalize: true
+  })
+  .option('datatracker-url', {
+    default: DATATRACKER_URL_DEFAULT,
+    describe: 'Datatracker base URL, to look up the latest revision of documents with --fetch',
+    type: 'string'
+  })
+  .option('fail-on', {
+    describe: 'Exit with code 2 when nits of this severity or above remain after filtering. Use "never" to always exit with code 0 when validation completes.',
+    choices: ['errors', 'warnings', 'comments', 'never'],
+    default: 'errors',
+    type: 'string'
+  })
+  .option('fetch', {
+    describe: 'Download the latest revision of a draft (e.g. draft-ietf-abcd-efgh) from Datatracker and validate it. A specific revision can be requested by including it in the name (e.g. draft-ietf-abcd-efgh-02).',
+    type: 'string'
+  })
+  .option('filename', {
+    describe: 'Filename of the document read from stdin (-), used to validate the filename and detect the document type',
+    type: 'string'
+  })
   .option('filter', {
     alias: 'f',
     describe: 'Filter output to only certain severity types. Can be declared multiple times to filter multiple severity types.',
@@ -34,6 +145,12 @@ const argv = yargs(process.argv.slice(2))
     nargs: 1,
     type: 'array'
   })
+  .option('junit-warnings', {
+    describe: 'Whether warnings are reported as failed or skipped testcases in the junit output',
+    choices: ['failure', 'skipped'],
+    default: 'failure',
+    type: 'string'
+  })
   .option('mode', {
     alias: 'm',
     describe: 'Validation mode to use',
@@ -46,7 +163,7 @@ const argv = yargs(process.argv.slice(2))
       }
     },
     choices: ['normal', 'forgive-checklist', 'submission'],
-    default: 'normal',
+    defaultDescription: '"normal", unless set in the project config',
     type: 'string'
   })
   .option('progress', {
@@ -66,69 +183,120 @@ const argv = yargs(process.argv.slice(2))
   .option('output', {
     alias: 'o',
     describe: 'Output format',
-    choices: ['pretty', 'json', 'count'],
+    choices: ['pretty', 'json', 'count', 'sarif', 'junit', 'github', 'compact', 'html', 'markdown', 'legacy'],
     default: 'pretty',
     type: 'string'
   })
+  .option('refresh-cache', {
+    default: false,
+    describe: 'Ignore cached responses of remote lookups, fetching them again',
+    type: 'boolean'
+  })
   .option('solarized', {
     default: false,
     describe: 'Use alternate colors for a solarized light themed terminal',
     type: 'boolean'
   })
+  .option('timeout', {
+    default: 30,
+    describe: 'Time limit of each validator, in seconds. Remote checks exceeding it are skipped and reported as a REMOTE_CHECK_TIMEOUT comment. Use 0 to disable.',
+    type: 'number'
+  })
+  .option('update-baseline', {
+    default: false,
+    describe: 'Overwrite the baseline file with the current results. Requires --baseline.',
+    type: 'boolean'
+  })
+  .option('watch', {
+    alias: 'w',
+    default: false,
+    describe: 'Watch the document and its local includes, re-validating it on every change and only reporting the nits fixed / introduced since the previous run',
+    type: 'boolean'
+  })
   .option('year', {
     alias: 'y',
     describe: 'Expect the given year in the boilerplate',
     type: 'number'
   })
-  .command('* <file>', 'parse and validate document', (y) => {
-    y.positional('file', {
+  .command('* [files..]', 'parse and validate documents', (y) => {
+    y.positional('files', {
+      type: 'string',
+      describe: 'Paths of the documents to validate. Directories and glob patterns are expanded to the .txt and .xml documents they contain. Use - to read a document from stdin.'
+    }).check(argv => {
+      if (!argv.files?.length && !argv.fetch) {
+        throw new Error('Missing documents to validate: provide their paths, - to read from stdin, or --fetch a draft.')
+      }
+      if (argv.files?.includes(STDIN_PATH) && !argv.filename) {
+        throw new Error('The --filename argument is required when reading from stdin (-).')
+      }
+      if (argv.files?.filter(f => f === STDIN_PATH).length > 1) {
+        throw new Error('stdin (-) can only be read once.')
+      }
+      return true
+    })
+  })
+  .command('compare <previous> <current>', 'compare nits between two revisions of a document', (y) => {
+    y.positional('previous', {
+      type: 'string',
+      describe: 'Path of the previous revision of the document',
+      normalize: true
+    }).positional('current', {
       type: 'string',
-      describe: 'Path of the document to validate',
+      describe: 'Path of the new revision of the document',
       normalize: true
     })
   })
+  .command('lsp', 'start a Language Server Protocol server over stdio, for editors integration')
+  .command('serve', 'start an HTTP server exposing the validation of documents as a REST API', (y) => {
+    y.option('host', {
+      default: '127.0.0.1',
+      describe: 'Address to listen on',
+      type: 'string'
+    }).option('max-size', {
+      default: 10,
+      describe: 'Maximum size of request bodies, in megabytes',
+      type: 'number'
+    }).option('port', {
+      alias: 'p',
+      default: 8080,
+      describe: 'Port to listen on',
+      type: 'number'
+    })
+  })
   .strict()
   .alias({ h: 'help' })
   .help()
   .version()
-  .argv
+const argv = cliParser.parse(markStdinArgs(process.argv.slice(2), cliParser.getOptions()))
 
 // Get package version
 const cliDir = path.dirname(fileURLToPath(import.meta.url))
 const pkgInfo = JSON.parse(await readFile(path.join(cliDir, 'package.json'), 'utf8'))
-if (argv.output === 'pretty') {
+// -> stdout is reserved to the protocol messages in LSP mode
+if (argv.output === 'pretty' && !['lsp', 'serve'].includes(argv._[0])) {
   console.log(chalk.bgGray.white('▄'.repeat(64)))
   console.log(chalk.bgWhite.black(`${pad('idnits ▶ ' + pkgInfo.version, 64)}`))
   console.log(chalk.bgGray.white('▀'.repeat(64)))
   console.log()
 }
 
-// Read document
-const docPath = path.resolve(process.cwd(), argv.file)
-const docPathObj = path.parse(docPath)
-if (argv.output === 'pretty') {
-  console.log(chalk.bgWhite.black(' Path ') + ` ${docPath}`)
-}
-let docRaw = ''
-try {
-  docRaw = await readFile(docPath)
-} catch (err) {
-  console.error(chalk.redBright(`Failed to read document: ${err.message}`))
-  process.exit(1)
-}
+// Persist responses of remote lookups on disk between runs
+setRemoteCacheStore(createDiskCacheStore(argv.cacheDir ? path.resolve(process.cwd(), argv.cacheDir) : getDefaultCacheDir(), {
+  refresh: argv.refreshCache
+}))
 
-// Get Mode
-const mode = getModeByName(argv.mode).mode
-if (argv.output === 'pretty') {
-  console.log(chalk.bgWhite.black(' Mode ') + ` ${argv.mode} ` + chalk.grey(`[${mode}]`))
-  console.log()
-}
+// Number of source lines shown around a result location, and max number of code frames per result
+const CODE_FRAME_CONTEXT = 2
+const CODE_FRAME_MAX = 3
 
 // Initialize progress reporter
 const spinner = ora({
   text: 'Loading...',
   isSilent: argv.output !== 'pretty' || !argv.progress
-}).start()
+})
+
+// Contents of the documents read from stdin or fetched from Datatracker, by their virtual path in the current directory
+const memoryDocs = new Map()
 
 function chalkAdapted (color) {
   switch (color) {
@@ -139,119 +307,848 @@ function chalkAdapted (color) {
   }
 }
 
-// Validate document
-try {
-  let result = await checkNits(docRaw, docPathObj.base, {
+/**
+ * Read a document and its project config
+ *
+ * @param {string} filePath Path of the document, relative to the current working directory
+ * @returns {Promise<Object>} Document path, contents and project config
+ */
+async function readDocument (filePath) {
+  const docPath = path.resolve(process.cwd(), filePath)
+  const docPathObj = path.parse(docPath)
+  let docRaw = ''
+  try {
+    docRaw = memoryDocs.get(docPath) ?? await readFile(docPath)
+  } catch (err) {
+    throw new Error(`Failed to read document: ${err.message}`)
+  }
+
+  // Load project config
+  let projectConfig = null
+  try {
+    projectConfig = argv.config ? await readProjectConfig(path.resolve(process.cwd(), argv.config)) : await loadProjectConfig(docPathObj.dir)
+  } catch (err) {
+    throw new Error(`Failed to load config: ${err.message}`)
+  }
+
+  return { docPath, docPathObj, docRaw, projectConfig }
+}
+
+/**
+ * Print the document path and project config in the pretty output format
+ *
+ * @param {Object} doc Document, as returned by readDocument()
+ */
+function printDocumentHeader ({ docPath, projectConfig }) {
+  if (argv.output === 'pretty') {
+    console.log(chalk.bgWhite.black(' Path ') + ` ${docPath}`)
+    if (projectConfig) {
+      console.log(chalk.bgWhite.black(' Conf ') + ` ${projectConfig.path}`)
+    }
+  }
+}
+
+/**
+ * Get the validation mode to use, from the CLI arguments or the project config
+ *
+ * @param {Object} projectConfig Project config
+ * @returns {Object} Mode number and name
+ */
+function getMode (projectConfig) {
+  const modeName = argv.mode ?? projectConfig?.modeName ?? 'normal'
+  const mode = getModeByName(modeName).mode
+  return { mode, modeName }
+}
+
+/**
+ * Print the validation mode in the pretty output format
+ *
+ * @param {Object} mode Mode number and name, as returned by getMode()
+ */
+function printModeHeader ({ mode, modeName }) {
+  if (argv.output === 'pretty') {
+    console.log(chalk.bgWhite.black(' Mode ') + ` ${modeName} ` + chalk.grey(`[${mode}]`))
+    console.log()
+  }
+}
+
+/**
+ * Validate a document
+ *
+ * @param {Object} doc Document, as returned by readDocument()
+ * @param {number} mode Validation mode to use
+ * @returns {Promise<ValidationError[]>} Nits Results
+ */
+async function validateDocument ({ docPathObj, docRaw, projectConfig }, mode, progressReport = (msg) => { spinner.text = msg }) {
+  return checkNits(docRaw, docPathObj.base, {
     mode,
-    progressReport: (msg) => { spinner.text = msg },
-    offline: argv.offline
+    progressReport,
+    offline: argv.offline,
+    timeout: argv.timeout * 1000,
+    ...projectConfig?.allowedDomains && { allowedDomains: projectConfig.allowedDomains },
+    rules: projectConfig?.rules
   })
+}
 
-  spinner.stop()
+/**
+ * Filter results to the severity types requested in the CLI arguments
+ *
+ * @param {ValidationError[]} result List of errors/warnings/comments
+ * @returns {ValidationError[]} Filtered list of errors/warnings/comments
+ */
+function filterSeverities (result) {
+  if (!argv.filter || argv.filter.length < 1) {
+    return result
+  }
+  return result.filter(entry => {
+    switch (entry.constructor.name) {
+      case 'ValidationError': {
+        return argv.filter.includes('errors')
+      }
+      case 'ValidationWarning': {
+        return argv.filter.includes('warnings')
+      }
+      case 'ValidationComment': {
+        return argv.filter.includes('comments')
+      }
+      default: {
+        return true
+      }
+    }
+  })
+}
 
-  // Filter severity types
-  if (argv.filter && argv.filter.length > 0) {
-    result = result.filter(entry => {
-      switch (entry.constructor.name) {
-        case 'ValidationError': {
-          return argv.filter.includes('errors')
-        }
-        case 'ValidationWarning': {
-          return argv.filter.includes('warnings')
+/**
+ * Whether any entry is at or above the --fail-on severity
+ *
+ * @param {ValidationError[]} result List of errors/warnings/comments
+ * @returns {boolean} Whether the run should exit with code 2
+ */
+function hasFailingNits (result) {
+  if (argv.failOn === 'never') {
+    return false
+  }
+  const failSeverities = SEVERITIES.slice(0, SEVERITIES.indexOf(argv.failOn.slice(0, -1)) + 1)
+  return result.some(entry => failSeverities.includes(getSeverity(entry)))
+}
+
+/**
+ * Print a few lines of source around a location, with a caret under the column
+ *
+ * @param {string[]} sourceLines Document source lines
+ * @param {Object} location Line and column of the result
+ */
+function printCodeFrame (sourceLines, { line, pos }) {
+  const text = sourceLines[line - 1]
+  if (text === undefined) {
+    return
+  }
+  const firstLine = Math.max(1, line - CODE_FRAME_CONTEXT)
+  const lastLine = Math.min(sourceLines.length, line + CODE_FRAME_CONTEXT)
+  const gutterWidth = String(lastLine).length
+  for (let lineNum = firstLine; lineNum <= lastLine; lineNum++) {
+    const gutter = `${String(lineNum).padStart(gutterWidth)} | `
+    if (lineNum === line) {
+      console.log(chalkAdapted('whiteBright')(`   > ${gutter}`) + chalkAdapted('white')(sourceLines[lineNum - 1]))
+      // -> Keep tabs in the caret padding, so that it aligns with the line above
+      const padding = text.slice(0, Math.max(0, (pos ?? 1) - 1)).replace(/[^\t]/g, ' ')
+      console.log(chalk.grey(`     ${' '.repeat(gutterWidth)} | `) + padding + chalk.redBright('^'))
+    } else {
+      console.log(chalk.grey(`     ${gutter}${sourceLines[lineNum - 1]}`))
+    }
+  }
+}
+
+/**
+ * Print a result entry in the pretty output format
+ *
+ * @param {ValidationError} entry Result entry
+ * @param {number} entryIdx Index of the entry in the list
+ * @param {Object} [source] Document source, to print code frames of the result locations
+ * @param {string[]} source.sourceLines Document source lines
+ * @param {Function} [source.locate] Function resolving an XML path to its location
+ */
+function printPrettyEntry (entry, entryIdx, { sourceLines, locate } = {}) {
+  switch (entry.constructor.name) {
+    case 'ValidationError': {
+      console.log(chalk.bgRed.whiteBright(` ${entryIdx} `) + chalk.redBright(' Error'))
+      console.log(chalk.grey(' └- ') + chalkAdapted('white')('Code') + chalk.grey(' - ') + chalk.redBright(entry.name))
+      break
+    }
+    case 'ValidationWarning': {
+      console.log(chalk.bgYellow.whiteBright(` ${entryIdx} `) + chalk.yellowBright(' Warning'))
+      console.log(chalk.grey(' └- ') + chalkAdapted('white')('Code') + chalk.grey(' - ') + chalk.yellowBright(entry.name))
+      break
+    }
+    case 'ValidationComment': {
+      console.log(chalk.bgCyan.whiteBright(` ${entryIdx} `) + ' Comment')
+      console.log(chalk.grey(' └- ') + chalkAdapted('white')('Code') + chalk.grey(' - ') + chalk.cyanBright(entry.name))
+      break
+    }
+    default: {
+      console.log(chalk.bgRed.whiteBright(` ${entryIdx} `) + ' Unexpected Error')
+    }
+  }
+  console.log(chalk.grey(' └- ') + chalkAdapted('white')('Desc') + chalk.grey(' - ') + chalkAdapted('whiteBright')(entry.message))
+  if (entry.text) {
+    console.log(chalk.grey(' └- ') + chalkAdapted('white')('Text') + chalk.grey(' - ') + chalkAdapted('white')(entry.text))
+  }
+  if (entry.refUrl) {
+    console.log(chalk.grey(' └- ') + chalkAdapted('white')('Ref ') + chalk.grey(' - ') + chalk.cyan(entry.refUrl))
+  }
+  if (entry.path) {
+    console.log(chalk.grey(' └- ') + chalkAdapted('white')('Path') + chalk.grey(' - ') + chalkAdapted('white')(entry.path))
+  }
+  // -> Resolve the location of XML results only carrying a path
+  const locations = entry.lines ?? [locate?.(entry.path)].filter(Boolean)
+  if (locations.length > 0) {
+    const lines = []
+    for (const line of locations) {
+      lines.push(`Ln ${line.line} Col ${line.pos}`)
+    }
+    console.log(chalk.grey(' └- ') + chalkAdapted('white')('Line') + chalk.grey(' - ') + chalkAdapted('white')(lines.join(', ')) + (entry.lines ? '' : chalk.grey(' (from path)')))
+  }
+  if (sourceLines) {
+    for (const location of locations.slice(0, CODE_FRAME_MAX)) {
+      console.log()
+      printCodeFrame(sourceLines, location)
+    }
+    if (locations.length > CODE_FRAME_MAX) {
+      console.log(chalk.grey(`\n     ... and ${locations.length - CODE_FRAME_MAX} more location(s)`))
+    }
+  }
+  console.log() // Empty line between entries
+}
+
+/**
+ * Print the fixed, new and unchanged entries of a comparison in the pretty output format
+ *
+ * @param {Object} comparison Comparison, as returned by compareResults()
+ * @param {Object} [opts] Additional options
+ * @param {boolean} [opts.showUnchanged] Whether to list the unchanged entries or only their count
+ */
+function printPrettyComparison (comparison, { showUnchanged = true } = {}) {
+  const groups = [
+    { label: ' FIXED ', color: chalk.bgGreen.whiteBright, entries: comparison.fixed },
+    { label: ' NEW ', color: chalk.bgRed.whiteBright, entries: comparison.added },
+    { label: ' UNCHANGED ', color: chalk.bgGray.whiteBright, entries: comparison.unchanged, hidden: !showUnchanged }
+  ]
+  for (const group of groups) {
+    console.log(group.color(group.label) + chalk.grey(` ${group.entries.length} nit(s)\n`))
+    if (group.hidden) {
+      continue
+    }
+    let entryIdx = 1
+    for (const entry of group.entries) {
+      printPrettyEntry(entry, entryIdx)
+      entryIdx++
+    }
+  }
+}
+
+// Start a Language Server Protocol server over stdio
+if (argv._[0] === 'lsp') {
+  const exitCode = await startLanguageServer({
+    toolVersion: pkgInfo.version,
+    settings: {
+      mode: argv.mode,
+      offline: argv.offline,
+      timeout: argv.timeout * 1000
+    }
+  })
+  process.exit(exitCode)
+}
+
+// Start an HTTP server exposing the REST API
+if (argv._[0] === 'serve') {
+  const server = createHTTPServer({
+    toolVersion: pkgInfo.version,
+    mode: argv.mode,
+    offline: argv.offline,
+    timeout: argv.timeout * 1000,
+    maxSize: Math.round(argv.maxSize * 1024 * 1024)
+  })
+  server.on('error', err => {
+    console.error(`Failed to start server: ${err.message}`)
+    process.exit(1)
+  })
+  server.listen(argv.port, argv.host, () => {
+    const { address, port } = server.address()
+    console.log(`idnits ${pkgInfo.version} listening on http://${address.includes(':') ? `[${address}]` : address}:${port}${argv.offline ? ' (offline)' : ''}`)
+  })
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      server.close()
+      server.closeIdleConnections()
+    })
+  }
+  await new Promise(resolve => server.on('close', resolve))
+  process.exit(0)
+}
+
+/**
+ * Compare two revisions of a document
+ *
+ * @returns {Promise<number>} Exit code
+ */
+async function compareDocuments () {
+  let previousDoc = null
+  let currentDoc = null
+  try {
+    previousDoc = await readDocument(argv.previous)
+    currentDoc = await readDocument(argv.current)
+  } catch (err) {
+    console.error(chalk.redBright(err.message))
+    return 1
+  }
+  printDocumentHeader(previousDoc)
+  printDocumentHeader(currentDoc)
+  const currentMode = getMode(currentDoc.projectConfig)
+  const { mode } = currentMode
+  printModeHeader(currentMode)
+
+  let isFailing = false
+  try {
+    spinner.start()
+    const previousResult = await validateDocument(previousDoc, mode)
+    const currentResult = await validateDocument(currentDoc, mode)
+    spinner.stop()
+
+    const comparison = compareResults(filterSeverities(previousResult), filterSeverities(currentResult), {
+      previousSource: previousDoc.docRaw.toString('utf8'),
+      currentSource: currentDoc.docRaw.toString('utf8')
+    })
+    // -> Only new nits count towards the --fail-on threshold, known ones were already there in the previous revision
+    isFailing = hasFailingNits(comparison.added)
+
+    switch (argv.output) {
+      // COUNT | Only return number of new nits
+      case 'count': {
+        console.log(comparison.added.length)
+        break
+      }
+      // JSON | Return comparison as a stringified JSON object
+      case 'json': {
+        console.log(JSON.stringify({
+          result: isFailing ? 'fail' : 'pass',
+          previous: {
+            path: previousDoc.docPath
+          },
+          current: {
+            path: currentDoc.docPath
+          },
+          fixed: comparison.fixed.map(toJSONNit),
+          new: comparison.added.map(toJSONNit),
+          unchanged: comparison.unchanged.map(toJSONNit)
+        }))
+        break
+      }
+      // PRETTY | Human-readable comparison view
+      case 'pretty': {
+        printPrettyComparison(comparison)
+        if (comparison.added.length === 0) {
+          console.log(chalk.bgGreen.whiteBright(' PASS ') + chalk.greenBright(' No new nits introduced. 🎉\n'))
+        } else if (isFailing) {
+          console.error(chalk.bgRed.whiteBright(' FAIL ') + chalk.redBright(` ${comparison.added.length} new nit(s) introduced. ❌\n`))
+        } else {
+          console.log(chalk.bgYellow.whiteBright(' PASS ') + chalk.yellowBright(` ${comparison.added.length} new nit(s) introduced, below the --fail-on severity.\n`))
         }
-        case 'ValidationComment': {
-          return argv.filter.includes('comments')
+        break
+      }
+      default: {
+        throw new Error(`The ${argv.output} output is not supported by the compare command.`)
+      }
+    }
+  } catch (err) {
+    spinner.stop()
+    console.debug(err)
+    console.error(chalk.redBright(`Comparison failed:\n- ${err.message}`))
+    return 1
+  }
+  return isFailing ? 2 : 0
+}
+
+/**
+ * Validate a document and apply the baseline
+ *
+ * @param {string} filePath Path of the document
+ * @param {Function} [progressReport] Callback function for progress messages
+ * @returns {Promise<Object>} Document report
+ */
+async function runDocument (filePath, progressReport) {
+  const report = {
+    docPath: path.resolve(process.cwd(), filePath),
+    doc: null,
+    mode: null,
+    result: [],
+    suppressed: [],
+    known: [],
+    validators: [],
+    document: null,
+    error: null
+  }
+
+  try {
+    report.doc = await readDocument(filePath)
+    report.mode = getMode(report.doc.projectConfig)
+    report.result = await validateDocument(report.doc, report.mode.mode, progressReport)
+
+    // Keep track of results waived by inline directives
+    report.suppressed = report.result.suppressed ?? []
+    report.validators = report.result.validators ?? []
+    report.document = report.result.document ?? null
+
+    // Only keep results not listed in the baseline
+    if (argv.baseline) {
+      const baselinePath = path.resolve(process.cwd(), argv.baseline)
+      const docSource = report.doc.docRaw.toString('utf8')
+      let baseline = null
+      try {
+        baseline = JSON.parse(await readFile(baselinePath, 'utf8'))
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw new Error(`Failed to read baseline: ${err.message}`)
         }
-        default: {
-          return true
+      }
+      if (!baseline || argv.updateBaseline) {
+        baseline = {
+          version: BASELINE_VERSION,
+          file: {
+            path: path.relative(path.dirname(baselinePath), report.docPath)
+          },
+          nits: report.result.map(r => ({
+            ...toJSONNit(r),
+            fingerprint: getFingerprint(r, docSource)
+          }))
         }
+        await writeFile(baselinePath, JSON.stringify(baseline, null, 2) + '\n')
+        report.baselineRecorded = { path: baselinePath, count: baseline.nits.length }
       }
-    })
+      const baselineResult = applyBaseline(report.result, baseline, docSource)
+      report.result = baselineResult.active
+      report.known = baselineResult.known
+    }
+
+    // Filter severity types
+    report.result = filterSeverities(report.result)
+  } catch (err) {
+    report.error = err
   }
 
-  // Output results
-  switch (argv.output) {
-    // COUNT | Only return number of nits
-    case 'count': {
-      console.log(result.length)
-      break
+  return report
+}
+
+/**
+ * Count results by severity
+ *
+ * @param {ValidationError[]} result List of errors/warnings/comments
+ * @returns {Object} Number of errors, warnings and comments
+ */
+function countSeverities (result) {
+  const counts = { errors: 0, warnings: 0, comments: 0 }
+  for (const entry of result) {
+    counts[`${getSeverity(entry)}s`]++
+  }
+  return counts
+}
+
+/**
+ * Convert a document report to the input of the lib/reporters formatters
+ *
+ * @param {Object} report Document report, as returned by runDocument()
+ * @returns {Object} Reporter document report
+ */
+function toReporterReport ({ docPath, doc, mode, document, result, suppressed, known, validators, error }) {
+  // -> Only keep the validators results not hidden by the baseline / severity filter
+  const reported = new Set(result)
+  return {
+    path: docPath,
+    source: doc?.docRaw.toString('utf8') ?? '',
+    size: doc?.docRaw.length ?? null,
+    mode: mode?.modeName ?? null,
+    document,
+    result,
+    suppressed,
+    ...argv.baseline && { known },
+    validators: validators.map(v => ({ id: v.id, result: v.result.filter(entry => reported.has(entry)) })),
+    error
+  }
+}
+
+/**
+ * Print a document report in the pretty output format
+ *
+ * @param {Object} report Document report, as returned by runDocument()
+ */
+function printPrettyReport ({ docPath, doc, mode, result, suppressed, known, error, baselineRecorded }) {
+  printDocumentHeader(doc ?? { docPath })
+  if (mode) {
+    printModeHeader(mode)
+  }
+  if (baselineRecorded) {
+    console.log(chalk.bgWhite.black(' Base ') + ` Recorded ${baselineRecorded.count} nit(s) to ${baselineRecorded.path}\n`)
+  }
+  if (error) {
+    if (!mode) {
+      console.log()
+    }
+    console.error(chalk.redBright(`Validation failed:\n- ${error.message}\n`))
+    return
+  }
+  if (result.length === 0) {
+    console.log(chalk.bgGreen.whiteBright(' PASS ') + chalk.greenBright(' Document is VALID. 🎉\n'))
+  } else {
+    console.error(chalk.bgRed.whiteBright(' FAIL ') + chalk.redBright(' Document is INVALID. ❌\n'))
+    // Format errors, with code frames of their locations
+    const source = doc?.docRaw.toString('utf8') ?? ''
+    const sourceLines = source.split(/\r?\n/)
+    const locate = path.extname(docPath).toLowerCase() === '.xml' ? createXMLLocator(source) : null
+    let entryIdx = 1
+    for (const entry of result) {
+      printPrettyEntry(entry, entryIdx, { sourceLines, locate })
+      entryIdx++
+    }
+  }
+  if (known.length > 0) {
+    console.log(chalk.bgGray.whiteBright(' BASE ') + chalk.grey(` ${known.length} known nit(s) hidden by the baseline.\n`))
+  }
+  if (suppressed.length > 0) {
+    const suppressedCodes = countBy(suppressed, 'name')
+    console.log(chalk.bgGray.whiteBright(' SKIP ') + chalk.grey(` ${suppressed.length} nit(s) suppressed by inline directives:`))
+    for (const [code, count] of Object.entries(suppressedCodes)) {
+      console.log(chalk.grey(' └- ') + chalkAdapted('white')(code) + chalk.grey(` (${count})`))
+    }
+    console.log()
+  }
+}
+
+/**
+ * Print the summary of a batch run in the pretty output format
+ *
+ * @param {Object[]} reports Document reports, as returned by runDocument()
+ */
+function printPrettySummary (reports) {
+  const totals = { errors: 0, warnings: 0, comments: 0 }
+  let failedCount = 0
+  console.log(chalk.bgWhite.black(' SUMMARY ') + '\n')
+  for (const report of reports) {
+    const relPath = path.relative(process.cwd(), report.docPath)
+    if (report.error) {
+      failedCount++
+      console.log(chalk.bgRed.whiteBright(' ERROR ') + ` ${relPath} ` + chalk.grey(`- ${report.error.message}`))
+      continue
+    }
+    const counts = countSeverities(report.result)
+    totals.errors += counts.errors
+    totals.warnings += counts.warnings
+    totals.comments += counts.comments
+    if (report.result.length === 0) {
+      console.log(chalk.bgGreen.whiteBright(' PASS ') + `  ${relPath}`)
+    } else {
+      failedCount++
+      console.log(chalk.bgRed.whiteBright(' FAIL ') + `  ${relPath} ` + chalk.grey(`- ${counts.errors} error(s), ${counts.warnings} warning(s), ${counts.comments} comment(s)`))
     }
-    // JSON | Return results as a stringified JSON object
-    case 'json': {
-      console.log(JSON.stringify({
-        result: result.length > 0 ? 'fail' : 'pass',
-        file: {
-          path: docPath,
-          size: 0
-        },
-        nits: result.map(r => ({
-          code: r.name,
-          desc: r.message,
-          ...r.refUrl && { ref: r.refUrl },
-          ...r.lines && { line: r.lines }
+  }
+  console.log()
+  console.log(chalkAdapted('whiteBright')(`${reports.length} document(s), ${failedCount} failed: `) +
+    chalk.redBright(`${totals.errors} error(s)`) + chalk.grey(', ') +
+    chalk.yellowBright(`${totals.warnings} warning(s)`) + chalk.grey(', ') +
+    chalk.cyanBright(`${totals.comments} comment(s)`) + '\n')
+}
+
+/**
+ * Watch a document and the local files it includes, re-validating it on every change.
+ * Only the nits fixed / introduced since the previous run are printed.
+ *
+ * @param {string} filePath Path of the document
+ * @returns {Promise} Promise resolved when watching is stopped (Ctrl+C)
+ */
+async function watchDocument (filePath) {
+  const docPath = path.resolve(process.cwd(), filePath)
+  const watchers = new Map()
+  let watchedPaths = new Set()
+  let previous = null
+  let isRunning = false
+  let isPending = false
+  let debounceTimer = null
+
+  // Remote lookups don't need to be repeated for every run
+  setRemoteCache(true)
+
+  /**
+   * Update the list of watched files.
+   * Parent directories are watched instead of the files themselves, as editors often replace files on save.
+   *
+   * @param {string[]} paths Absolute paths of the files to watch
+   */
+  function updateWatchedPaths (paths) {
+    watchedPaths = new Set(paths)
+    const dirs = new Set(paths.map(p => path.dirname(p)))
+    for (const [dir, watcher] of watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close()
+        watchers.delete(dir)
+      }
+    }
+    for (const dir of dirs) {
+      if (watchers.has(dir)) {
+        continue
+      }
+      try {
+        watchers.set(dir, watch(dir, (eventType, filename) => {
+          if (filename && watchedPaths.has(path.join(dir, filename))) {
+            scheduleRun()
+          }
         }))
-      }))
-      break
+      } catch (err) {
+        console.error(chalk.redBright(`Failed to watch ${dir}: ${err.message}\n`))
+      }
+    }
+  }
+
+  function scheduleRun () {
+    clearTimeout(debounceTimer)
+    debounceTimer = setTimeout(run, 100)
+  }
+
+  async function run () {
+    if (isRunning) {
+      isPending = true
+      return
     }
-    // PRETTY | Human-readable result view
-    case 'pretty': {
-      if (result.length === 0) {
+    isRunning = true
+
+    if (previous) {
+      console.log(chalk.bgWhite.black(' Watch ') + ` Change detected at ${DateTime.now().toFormat('HH:mm:ss')}, re-validating...\n`)
+    }
+    spinner.start()
+    const report = await runDocument(filePath)
+    spinner.stop()
+
+    if (previous && !previous.error && !report.error) {
+      // Only print the delta since the previous run
+      printPrettyComparison(compareResults(previous.result, report.result, {
+        previousSource: previous.doc.docRaw.toString('utf8'),
+        currentSource: report.doc.docRaw.toString('utf8')
+      }), { showUnchanged: false })
+      if (report.result.length === 0) {
         console.log(chalk.bgGreen.whiteBright(' PASS ') + chalk.greenBright(' Document is VALID. 🎉\n'))
       } else {
-        console.error(chalk.bgRed.whiteBright(' FAIL ') + chalk.redBright(' Document is INVALID. ❌\n'))
-        // Format errors
-        let entryIdx = 1
-        for (const entry of result) {
-          switch (entry.constructor.name) {
-            case 'ValidationError': {
-              console.log(chalk.bgRed.whiteBright(` ${entryIdx} `) + chalk.redBright(' Error'))
-              console.log(chalk.grey(' └- ') + chalkAdapted('white')('Code') + chalk.grey(' - ') + chalk.redBright(entry.name))
-              break
-            }
-            case 'ValidationWarning': {
-              console.log(chalk.bgYellow.whiteBright(` ${entryIdx} `) + chalk.yellowBright(' Warning'))
-              console.log(chalk.grey(' └- ') + chalkAdapted('white')('Code') + chalk.grey(' - ') + chalk.yellowBright(entry.name))
-              break
-            }
-            case 'ValidationComment': {
-              console.log(chalk.bgCyan.whiteBright(` ${entryIdx} `) + ' Comment')
-              console.log(chalk.grey(' └- ') + chalkAdapted('white')('Code') + chalk.grey(' - ') + chalk.cyanBright(entry.name))
-              break
-            }
-            default: {
-              console.log(chalk.bgRed.whiteBright(` ${entryIdx} `) + ' Unexpected Error')
-            }
-          }
-          console.log(chalk.grey(' └- ') + chalkAdapted('white')('Desc') + chalk.grey(' - ') + chalkAdapted('whiteBright')(entry.message))
-          if (entry.text) {
-            console.log(chalk.grey(' └- ') + chalkAdapted('white')('Text') + chalk.grey(' - ') + chalkAdapted('white')(entry.text))
-          }
-          if (entry.refUrl) {
-            console.log(chalk.grey(' └- ') + chalkAdapted('white')('Ref ') + chalk.grey(' - ') + chalk.cyan(entry.refUrl))
-          }
-          if (entry.path) {
-            console.log(chalk.grey(' └- ') + chalkAdapted('white')('Path') + chalk.grey(' - ') + chalkAdapted('white')(entry.path))
-          }
-          if (entry.lines) {
-            const lines = []
-            for (const line of entry.lines) {
-              lines.push(`Ln ${line.line} Col ${line.pos}`)
-            }
-            console.log(chalk.grey(' └- ') + chalkAdapted('white')('Line') + chalk.grey(' - ') + chalkAdapted('white')(lines.join(', ')))
-          }
-          console.log() // Empty line between entries
-          entryIdx++
-        }
+        console.error(chalk.bgRed.whiteBright(' FAIL ') + chalk.redBright(` ${report.result.length} nit(s) remaining. ❌\n`))
       }
-      break
+    } else {
+      printPrettyReport(report)
     }
-    default: {
-      throw new Error('Invalid Output Mode')
+
+    // Follow includes added / removed since the previous run
+    if (report.doc) {
+      updateWatchedPaths([docPath, ...getLocalIncludes(docPath, report.doc.docRaw.toString('utf8'))])
+    } else if (!previous) {
+      updateWatchedPaths([docPath])
+    }
+    if (!previous) {
+      console.log(chalk.bgWhite.black(' Watch ') + ` Watching ${watchedPaths.size} file(s) for changes. Press Ctrl+C to stop.\n`)
+    }
+
+    previous = report
+    isRunning = false
+    if (isPending) {
+      isPending = false
+      scheduleRun()
+    }
+  }
+
+  await run()
+  return new Promise(resolve => {
+    process.once('SIGINT', () => {
+      clearTimeout(debounceTimer)
+      for (const watcher of watchers.values()) {
+        watcher.close()
+      }
+      resolve()
+    })
+  })
+}
+
+/**
+ * Read the whole stdin
+ *
+ * @returns {Promise<Buffer>} stdin contents
+ */
+async function readStdin () {
+  const chunks = []
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Validate the documents given as arguments
+ *
+ * @returns {Promise<number>} Exit code
+ */
+async function validateDocuments () {
+  // Resolve documents to validate
+  // -> Documents read from stdin or fetched from Datatracker are held in memory, under a virtual path in the current directory
+  const inputs = [...argv.files ?? [], ...argv.fetch ? [argv.fetch] : []]
+  const filePaths = (argv.files ?? []).filter(f => f !== STDIN_PATH)
+  let docPaths = []
+  try {
+    docPaths = filePaths.length > 0 ? await expandDocumentPaths(filePaths) : []
+    if (argv.files?.includes(STDIN_PATH)) {
+      const docPath = path.resolve(process.cwd(), path.basename(argv.filename))
+      memoryDocs.set(docPath, await readStdin())
+      docPaths.push(docPath)
     }
+    if (argv.fetch) {
+      spinner.start(`Fetching ${argv.fetch} from Datatracker...`)
+      const draft = await fetchDraft(argv.fetch, {
+        datatrackerUrl: argv.datatrackerUrl,
+        archiveUrl: argv.archiveUrl,
+        signal: argv.timeout > 0 ? AbortSignal.timeout(argv.timeout * 1000) : undefined
+      })
+      spinner.stop()
+      const docPath = path.resolve(process.cwd(), draft.filename)
+      memoryDocs.set(docPath, Buffer.from(draft.raw))
+      docPaths.push(docPath)
+    }
+  } catch (err) {
+    spinner.stop()
+    console.error(chalk.redBright(err.message))
+    return 1
+  }
+  const isBatch = inputs.length > 1 || docPaths.length !== 1 || (filePaths.length === 1 && docPaths[0] !== path.resolve(process.cwd(), filePaths[0]))
+  if (isBatch && argv.baseline) {
+    console.error(chalk.redBright('The --baseline argument only supports a single document.'))
+    return 1
+  }
+
+  // Watch a document for changes
+  if (argv.watch) {
+    if (isBatch) {
+      console.error(chalk.redBright('The --watch argument only supports a single document.'))
+      return 1
+    }
+    if (argv.output !== 'pretty') {
+      console.error(chalk.redBright('The --watch argument only supports the pretty output.'))
+      return 1
+    }
+    if (memoryDocs.size > 0) {
+      console.error(chalk.redBright('The --watch argument only supports documents read from a file.'))
+      return 1
+    }
+    await watchDocument(docPaths[0])
+    return 0
+  }
+
+  // Validate documents
+  let reports = []
+  spinner.start()
+  if (isBatch) {
+    let doneCount = 0
+    spinner.text = `Validating ${docPaths.length} documents...`
+    reports = await mapConcurrent(docPaths, argv.concurrency, async (docPath) => {
+      const report = await runDocument(docPath, () => {})
+      doneCount++
+      spinner.text = `Validating ${docPaths.length} documents... [${doneCount}/${docPaths.length}]`
+      return report
+    })
+  } else {
+    reports = [await runDocument(docPaths[0])]
   }
-} catch (err) {
   spinner.stop()
-  console.debug(err)
-  console.error(chalk.redBright(`Validation failed:\n- ${err.message}`))
-  process.exit(1)
+
+  // Output results
+  try {
+    switch (argv.output) {
+      // COUNT | Only return number of nits
+      case 'count': {
+        console.log(reports.reduce((total, report) => total + report.result.length, 0))
+        break
+      }
+      // JSON | Return results as a stringified JSON object (or an array of objects for a batch)
+      case 'json': {
+        console.log(formatJSON(reports.map(toReporterReport), { toolVersion: pkgInfo.version, batch: isBatch }))
+        break
+      }
+      // SARIF | Return results as a SARIF 2.1.0 log, for code scanning tools
+      case 'sarif': {
+        console.log(formatSarif(reports.map(toReporterReport), { toolVersion: pkgInfo.version }))
+        break
+      }
+      // JUNIT | Return results as a JUnit XML report, with a testcase per validator
+      case 'junit': {
+        console.log(formatJUnit(reports.map(toReporterReport), { warnings: argv.junitWarnings }))
+        break
+      }
+      // GITHUB | Return results as GitHub Actions workflow commands, for inline annotations
+      case 'github': {
+        const commands = formatGitHub(reports.map(toReporterReport))
+        if (commands) {
+          console.log(commands)
+        }
+        break
+      }
+      // COMPACT | Return results as compiler-style lines, for editors problem matchers
+      case 'compact': {
+        const lines = formatCompact(reports.map(toReporterReport))
+        if (lines) {
+          console.log(lines)
+        }
+        break
+      }
+      // HTML | Return results as a self-contained HTML report, with the documents annotated inline
+      case 'html': {
+        console.log(formatHTML(reports.map(toReporterReport), { toolVersion: pkgInfo.version }))
+        break
+      }
+      // MARKDOWN | Return results as a Markdown report, for pull request comments
+      case 'markdown': {
+        console.log(formatMarkdown(reports.map(toReporterReport), { toolVersion: pkgInfo.version }))
+        break
+      }
+      // LEGACY | Return results in the layout of the idnits 2.x text report
+      case 'legacy': {
+        console.log(formatLegacy(reports.map(toReporterReport), { toolVersion: pkgInfo.version }))
+        break
+      }
+      // PRETTY | Human-readable result view
+      case 'pretty': {
+        for (const report of reports) {
+          printPrettyReport(report)
+        }
+        if (isBatch) {
+          printPrettySummary(reports)
+        }
+        break
+      }
+      default: {
+        throw new Error('Invalid Output Mode')
+      }
+    }
+  } catch (err) {
+    console.debug(err)
+    console.error(chalk.redBright(`Validation failed:\n- ${err.message}`))
+    return 1
+  }
+
+  // Exit with code 1 if any document could not be validated
+  const erroredReports = reports.filter(r => r.error)
+  if (erroredReports.length > 0) {
+    if (argv.output !== 'pretty') {
+      for (const report of erroredReports) {
+        console.error(chalk.redBright(`Validation failed for ${report.docPath}:\n- ${report.error.message}`))
+      }
+    }
+    return 1
+  }
+
+  // Exit with an error code if any nit at or above the --fail-on severity remains
+  if (reports.some(r => hasFailingNits(r.result))) {
+    return 2
+  }
+  return 0
 }
+
+process.exitCode = argv._[0] === 'compare' ? await compareDocuments() : await validateDocuments()
@@ -0,0 +1,12 @@
+// Entrypoint for browsers and other non-Node.js runtimes, without the features relying on the filesystem (e.g. project config).
+// Documents are passed as a Uint8Array, an ArrayBuffer or a string. Use setRemoteFetch() to provide the fetch implementation of remote lookups.
+export {
+  checkNits,
+  getValidators,
+  registerValidator,
+  setRemoteCacheStore,
+  setRemoteConcurrency,
+  setRemoteFetch,
+  streamNits,
+  unregisterValidator
+} from './core.mjs'
@@ -0,0 +1,129 @@
+import path from 'node:path'
+import { readFile } from 'node:fs/promises'
+import { parse as parseYAML } from 'yaml'
+import { getModeByName } from './modes.mjs'
+import { SEVERITIES } from '../helpers/severity.mjs'
+
+export const PROJECT_CONFIG_FILENAMES = [
+  '.idnitsrc',
+  '.idnitsrc.json',
+  '.idnitsrc.yaml',
+  '.idnitsrc.yml'
+]
+
+const RULE_CODE_RE = /^[A-Z0-9_]+$/
+
+/**
+ * @typedef {Object} ProjectConfig
+ * @property {string} [path] Path of the config file
+ * @property {number} [mode] Default validation mode
+ * @property {string} [modeName] Name of the default validation mode
+ * @property {string[]} [allowedDomains] List of authorized domains to fetch externals from
+ * @property {Object<string, string>} rules Map of result codes to a severity (error, warning, comment) or "off"
+ */
+
+/**
+ * Parse and validate the contents of a project config file
+ *
+ * @param {string} text Contents of the config file, in JSON or YAML format
+ * @returns {ProjectConfig} Normalized project config
+ */
+export function parseProjectConfig (text) {
+  let raw
+  try {
+    // YAML is a superset of JSON, so both formats are handled by the same parser
+    raw = parseYAML(text) ?? {}
+  } catch (err) {
+    throw new Error(`Invalid config file: ${err.message}`)
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Invalid config file: expected an object at the root.')
+  }
+
+  const config = {
+    rules: {}
+  }
+
+  for (const [key, value] of Object.entries(raw)) {
+    switch (key) {
+      case 'mode': {
+        try {
+          const mode = getModeByName(String(value))
+          config.mode = mode.mode
+          config.modeName = mode.name
+        } catch (err) {
+          throw new Error(`Invalid config file: unknown mode "${value}".`)
+        }
+        break
+      }
+      case 'allowedDomains': {
+        if (!Array.isArray(value) || !value.every(d => typeof d === 'string')) {
+          throw new Error('Invalid config file: allowedDomains must be a list of domains.')
+        }
+        config.allowedDomains = value
+        break
+      }
+      case 'rules': {
+        if (typeof value !== 'object' || Array.isArray(value) || value === null) {
+          throw new Error('Invalid config file: rules must be a map of codes to a severity or "off".')
+        }
+        for (const [code, rule] of Object.entries(value)) {
+          const normalizedRule = rule === false ? 'off' : String(rule).toLowerCase()
+          if (!RULE_CODE_RE.test(code)) {
+            throw new Error(`Invalid config file: "${code}" is not a valid code.`)
+          }
+          if (normalizedRule !== 'off' && !SEVERITIES.includes(normalizedRule)) {
+            throw new Error(`Invalid config file: rule ${code} must be one of off, ${SEVERITIES.join(', ')}.`)
+          }
+          config.rules[code] = normalizedRule
+        }
+        break
+      }
+      default: {
+        throw new Error(`Invalid config file: unknown option "${key}".`)
+      }
+    }
+  }
+
+  return config
+}
+
+/**
+ * Read a project config file
+ *
+ * @param {string} configPath Path of the config file
+ * @returns {Promise<ProjectConfig>} Project config
+ */
+export async function readProjectConfig (configPath) {
+  const text = await readFile(configPath, 'utf8')
+  return {
+    path: configPath,
+    ...parseProjectConfig(text)
+  }
+}
+
+/**
+ * Find the closest project config file, starting from the given directory and going up
+ *
+ * @param {string} dir Directory to start the lookup from (usually the document directory)
+ * @returns {Promise<ProjectConfig|null>} Project config or null if none is found
+ */
+export async function loadProjectConfig (dir) {
+  let currentDir = path.resolve(dir)
+  while (true) {
+    for (const filename of PROJECT_CONFIG_FILENAMES) {
+      try {
+        return await readProjectConfig(path.join(currentDir, filename))
+      } catch (err) {
+        if (!['ENOENT', 'EISDIR'].includes(err.code)) {
+          throw err
+        }
+      }
+    }
+    const parentDir = path.dirname(currentDir)
+    if (parentDir === currentDir) {
+      return null
+    }
+    currentDir = parentDir
+  }
+}
@@ -0,0 +1,77 @@
+import {
+  validateDocName
+} from '../modules/filename.mjs'
+import {
+  validateFQDNs
+} from '../modules/fqdn.mjs'
+import {
+  validateIPs
+} from '../modules/ip.mjs'
+import {
+  validate2119Keywords,
+  validateTermsStyle
+} from '../modules/keywords.mjs'
+import {
+  validateAbstractSection,
+  validateAuthorSection,
+  validateIANAConsiderationsSection,
+  validateIntroductionSection,
+  validateReferencesSection,
+  validateSecurityConsiderationsSection
+} from '../modules/sections.mjs'
+import {
+  validateDate,
+  validateObsoleteUpdateRef,
+  validateCategory,
+  validateVersion
+} from '../modules/metadata.mjs'
+import {
+  detectDeprecatedElements,
+  validateCodeBlocks,
+  validateIprAttribute,
+  validateSubmissionType,
+  validateTextLikeRefs,
+  validateXMLBoilerplate
+} from '../modules/xml.mjs'
+import {
+  validateLineLength,
+  validateCodeComments
+} from '../modules/txt.mjs'
+import {
+  validateDownrefs
+} from '../modules/downref.mjs'
+
+/**
+ * Built-in validators, in the order they are run against a parsed document
+ */
+export const DEFAULT_VALIDATORS = [
+  // Common validations
+  { id: 'doc-name', progress: 'Validating document name...', types: ['txt', 'xml'], remote: false, validate: validateDocName },
+  { id: 'abstract-section', progress: 'Validating abstract section...', types: ['txt', 'xml'], remote: false, validate: validateAbstractSection },
+  { id: 'introduction-section', progress: 'Validating introduction section...', types: ['txt', 'xml'], remote: false, validate: validateIntroductionSection },
+  { id: 'security-considerations-section', progress: 'Validating security considerations section...', types: ['txt', 'xml'], remote: false, validate: validateSecurityConsiderationsSection },
+  { id: 'author-section', progress: 'Validating author section(s)...', types: ['txt', 'xml'], remote: false, validate: validateAuthorSection },
+  { id: 'references-section', progress: 'Validating references section(s)...', types: ['txt', 'xml'], remote: false, validate: validateReferencesSection },
+  { id: 'iana-considerations-section', progress: 'Validating IANA considerations section...', types: ['txt', 'xml'], remote: false, validate: validateIANAConsiderationsSection },
+  { id: 'fqdns', progress: 'Validating FQDNs...', types: ['txt', 'xml'], remote: true, validate: validateFQDNs },
+  { id: 'ips', progress: 'Validating IPs...', types: ['txt', 'xml'], remote: false, validate: validateIPs },
+  { id: '2119-keywords', progress: 'Validating Requirement Level Keywords...', types: ['txt', 'xml'], remote: false, validate: validate2119Keywords },
+  { id: 'terms-style', progress: 'Validating Terms...', types: ['txt', 'xml'], remote: false, validate: validateTermsStyle },
+  { id: 'date', progress: 'Validating Date...', types: ['txt', 'xml'], remote: false, validate: validateDate },
+  // -> Also runs local checks, handles the offline flag by itself
+  { id: 'obsolete-update-ref', progress: 'Validating Updates / Obsoletes References...', types: ['txt', 'xml'], remote: false, validate: validateObsoleteUpdateRef },
+  { id: 'category', progress: 'Validating Category...', types: ['txt', 'xml'], remote: false, validate: validateCategory },
+  { id: 'version', progress: 'Validating Version...', types: ['txt', 'xml'], remote: true, validate: validateVersion },
+  { id: 'downrefs', progress: 'Validating downrefs in text...', types: ['txt', 'xml'], remote: true, validate: validateDownrefs },
+  // XML-only validations
+  { id: 'deprecated-elements', progress: 'Looking for deprecated elements...', types: ['xml'], remote: false, validate: detectDeprecatedElements },
+  // -> Also runs local checks, handles the offline flag by itself
+  { id: 'submission-type', progress: 'Validating submission type...', types: ['xml'], remote: false, validate: validateSubmissionType },
+  { id: 'code-blocks', progress: 'Validating code blocks...', types: ['xml'], remote: false, validate: validateCodeBlocks },
+  { id: 'text-like-refs', progress: 'Validating text-like references...', types: ['xml'], remote: false, validate: validateTextLikeRefs },
+  { id: 'ipr-attribute', progress: 'Validating ipr attribute...', types: ['xml'], remote: false, validate: validateIprAttribute },
+  { id: 'xml-boilerplate', progress: 'Validating boilerplate...', types: ['xml'], remote: false, validate: validateXMLBoilerplate },
+  // TXT-only validations
+  { id: 'line-length', progress: 'Validating line length...', types: ['txt'], remote: false, validate: validateLineLength },
+  { id: 'code-comments', progress: 'Validating code comments...', types: ['txt'], remote: false, validate: validateCodeComments }
+]
@@ -0,0 +1,272 @@
+import { get } from 'lodash-es'
+import { ALLOWED_DOMAINS_DEFAULT } from './config/externals.mjs'
+import { MODES } from './config/modes.mjs'
+import {
+  decodeBufferToUTF8,
+  validateContent,
+  validateEncoding
+} from './modules/raw.mjs'
+import {
+  validateFilename
+} from './modules/filename.mjs'
+import { runWithTimeout } from './helpers/abort.mjs'
+import { ValidationComment } from './helpers/error.mjs'
+import { getValidators } from './helpers/registry.mjs'
+import { applyRuleOverrides } from './helpers/severity.mjs'
+import { applySuppressions } from './helpers/suppression.mjs'
+import { parse as parseTXT } from './parsers/txt.mjs'
+import { parse as parseXML } from './parsers/xml.mjs'
+
+export {
+  getValidators,
+  registerValidator,
+  unregisterValidator
+} from './helpers/registry.mjs'
+export {
+  setRemoteCacheStore,
+  setRemoteConcurrency,
+  setRemoteFetch
+} from './helpers/remote.mjs'
+
+const DOC_REVISION_RE = /-([0-9]{2})$/
+
+/**
+ * @typedef {Object} DocumentInfo
+ * @property {string} type Document file type (txt or xml)
+ * @property {string|null} kind Whether the document is an Internet Draft (draft) or an RFC (rfc), null if undetermined
+ * @property {string|null} docName Name of the document, including its revision (e.g. draft-ietf-abcd-01)
+ * @property {string|null} version Revision of the document (e.g. 01)
+ */
+
+/**
+ * @typedef {Object} NitsEvent
+ * @property {string} type Event type:
+ * - progress: a validation step is starting, see `message`
+ * - document: the document was parsed, see `document`
+ * - nit: a result entry was produced, see `entry`
+ * - suppressed: a result entry was produced but is waived by an inline <?idnits ignore CODE?> directive, see `entry`
+ * @property {string} validator ID of the validation step (filename, encoding, decode, content, parse or a registered validator ID)
+ * @property {string} [message] Progress message (progress events only)
+ * @property {DocumentInfo} [document] Document metadata (document events only)
+ * @property {ValidationError} [entry] Result entry (nit and suppressed events only)
+ */
+
+/**
+ * Get the metadata of a parsed document
+ *
+ * @param {Object} doc Parsed document
+ * @returns {DocumentInfo} Document metadata
+ */
+function getDocumentInfo (doc) {
+  const docName = (doc.type === 'xml' ? get(doc, 'data.rfc._attr.docName') : get(doc, 'data.slug')) || null
+  return {
+    type: doc.type,
+    kind: doc.docKind ?? null,
+    docName,
+    version: docName?.match(DOC_REVISION_RE)?.[1] ?? null
+  }
+}
+
+/**
+ * Check Nits, yielding results as soon as each validation step produces them
+ *
+ * @param {Uint8Array|ArrayBuffer|string} raw Document contents. Strings are validated as UTF-8 encoded.
+ * @param {string} filename Filename of the document
+ * @param {Object} opts Options
+ * @param {number} opts.year Expect the given year in the boilerplate
+ * @param {string[]} opts.allowedDomains List of authorized domains to fetch externals from
+ * @param {string} opts.mode Validation mode to use
+ * @param {boolean} opts.offline Disable validations that require an internet connection
+ * @param {Object<string, string>} opts.rules Map of result codes to a severity (error, warning, comment) or "off"
+ * @param {AbortSignal} opts.signal Signal to cancel the validation, which then rejects with the abort reason
+ * @param {number} opts.timeout Time limit of each validator in milliseconds (0 to disable). Validators exceeding it are reported as a REMOTE_CHECK_TIMEOUT comment.
+ * @yields {NitsEvent} Progress and result events. Validators run concurrently: a progress event is yielded for each of them as it starts, and their results as soon as they complete.
+ */
+export async function * streamNits (raw, filename, {
+  year,
+  allowedDomains = ALLOWED_DOMAINS_DEFAULT,
+  mode = MODES.NORMAL,
+  offline = false,
+  rules = {},
+  signal,
+  timeout = 0
+} = {}) {
+  signal?.throwIfAborted()
+
+  // -> Strings are already decoded, so they are validated as their UTF-8 encoding
+  if (typeof raw === 'string') {
+    raw = new TextEncoder().encode(raw)
+  }
+
+  let doc = null
+  const ext = filename.endsWith('.xml') ? 'xml' : 'txt'
+
+  // Pre-parsing results are held until the document is parsed, as it holds the suppression directives
+  const preParseResults = []
+
+  // Pre-parsing validations
+  yield { type: 'progress', validator: 'filename', message: 'Validating filename...' }
+  preParseResults.push(...(await validateFilename(filename, { mode })).map(entry => ({ validator: 'filename', entry })))
+  yield { type: 'progress', validator: 'encoding', message: 'Validating encoding...' }
+  preParseResults.push(...(await validateEncoding(raw, { mode })).map(entry => ({ validator: 'encoding', entry })))
+
+  yield { type: 'progress', validator: 'decode', message: 'Decoding document to UTF-8...' }
+  const data = await decodeBufferToUTF8(raw)
+  yield { type: 'progress', validator: 'content', message: 'Validating text...' }
+  preParseResults.push(...(await validateContent(data, { mode })).map(entry => ({ validator: 'content', entry })))
+
+  // Parse using appropriate parser
+  try {
+    switch (ext) {
+      case 'txt': {
+        yield { type: 'progress', validator: 'parse', message: 'Parsing TXT document...' }
+        doc = await parseTXT(data, filename)
+        break
+      }
+      case 'xml': {
+        yield { type: 'progress', validator: 'parse', message: 'Parsing XML document...' }
+        doc = await parseXML(data, filename)
+        break
+      }
+      default: {
+        throw new Error('Invalid Document Format')
+      }
+    }
+  } catch (err) {
+    for (const { validator, entry } of [...preParseResults, { validator: 'parse', entry: err }]) {
+      for (const overridden of applyRuleOverrides([entry], rules)) {
+        yield { type: 'nit', validator, entry: overridden }
+      }
+    }
+    return
+  }
+  yield { type: 'document', validator: 'parse', document: getDocumentInfo(doc) }
+
+  /**
+   * Get the events of the results of a validation step, once suppressions and rule overrides are applied
+   *
+   * @param {string} validator ID of the validation step
+   * @param {ValidationError[]} result List of errors/warnings/comments
+   * @returns {NitsEvent[]} Result events
+   */
+  function toResultEvents (validator, result) {
+    const { active, suppressed } = applySuppressions(doc, result)
+    return [
+      ...applyRuleOverrides(active, rules).map(entry => ({ type: 'nit', validator, entry })),
+      ...applyRuleOverrides(suppressed, rules).map(entry => ({ type: 'suppressed', validator, entry }))
+    ]
+  }
+
+  for (const { validator, entry } of preParseResults) {
+    yield * toResultEvents(validator, [entry])
+  }
+
+  // -> Validators still running are cancelled when another one fails or the consumer stops iterating, as well as with the signal
+  const runController = new AbortController()
+  const onAbort = () => runController.abort(signal.reason)
+  signal?.addEventListener('abort', onAbort, { once: true })
+
+  /**
+   * Run a validator, reporting it as a comment if it exceeds the time limit
+   *
+   * @param {Object} validator Registered validator
+   * @returns {Promise<ValidationError[]>} List of errors/warnings/comments
+   */
+  async function runValidator (validator) {
+    try {
+      return await runWithTimeout(validatorSignal => validator.validate(doc, { mode, offline, allowedDomains, signal: validatorSignal }), { signal: runController.signal, timeout })
+    } catch (err) {
+      if (err?.name !== 'TimeoutError' || runController.signal.aborted) {
+        throw err
+      }
+      return [new ValidationComment('REMOTE_CHECK_TIMEOUT', `The ${validator.id} validation did not complete within ${timeout / 1000} seconds and was skipped.`, {
+        text: validator.id
+      })]
+    }
+  }
+
+  // Run registered validations concurrently, yielding the results of each validator as soon as it completes
+  try {
+    signal?.throwIfAborted()
+    const pending = new Map()
+    for (const validator of getValidators(doc.type)) {
+      if (offline && validator.remote) { continue }
+      yield { type: 'progress', validator: validator.id, message: validator.progress }
+      pending.set(validator.id, runValidator(validator).then(
+        validatorResult => ({ validator, validatorResult }),
+        error => ({ validator, error })
+      ))
+    }
+    while (pending.size > 0) {
+      const { validator, validatorResult, error } = await Promise.race(pending.values())
+      pending.delete(validator.id)
+      if (error) {
+        throw error
+      }
+      yield * toResultEvents(validator.id, validatorResult)
+    }
+  } finally {
+    signal?.removeEventListener('abort', onAbort)
+    runController.abort()
+  }
+}
+
+/**
+ * Check Nits
+ * The project config (.idnitsrc) isn't loaded, pass its mode, rules and allowedDomains explicitly (see loadProjectConfig()).
+ *
+ * @param {Uint8Array|ArrayBuffer|string} raw Document contents. Strings are validated as UTF-8 encoded.
+ * @param {string} filename Filename of the document
+ * @param {Object} opts Options
+ * @param {number} opts.year Expect the given year in the boilerplate
+ * @param {string[]} opts.allowedDomains List of authorized domains to fetch externals from
+ * @param {string} opts.mode Validation mode to use
+ * @param {boolean} opts.offline Disable validations that require an internet connection
+ * @param {Object<string, string>} opts.rules Map of result codes to a severity (error, warning, comment) or "off"
+ * @param {AbortSignal} opts.signal Signal to cancel the validation, which then rejects with the abort reason
+ * @param {number} opts.timeout Time limit of each validator in milliseconds (0 to disable). Validators exceeding it are reported as a REMOTE_CHECK_TIMEOUT comment.
+ * @param {Function} opts.progressReport Callback function for progress messages
+ * @returns Nits Results. Entries waived by inline <?idnits ignore CODE?> directives are excluded and listed under the `suppressed` property instead.
+ * The `validators` property lists each validation step that was run, with its own results.
+ * The `document` property holds the document metadata, or null if it could not be parsed.
+ */
+export async function checkNits (raw, filename, { progressReport = () => {}, ...opts } = {}) {
+  // Results are grouped by validation step, in the order steps were started, so that they don't depend on completion order
+  const steps = new Map()
+  function getStep (validator) {
+    if (!steps.has(validator)) {
+      steps.set(validator, { result: [], suppressed: [] })
+    }
+    return steps.get(validator)
+  }
+
+  let document = null
+  for await (const event of streamNits(raw, filename, opts)) {
+    switch (event.type) {
+      case 'document': {
+        document = event.document
+        break
+      }
+      case 'progress': {
+        getStep(event.validator)
+        progressReport(event.message)
+        break
+      }
+      case 'nit': {
+        getStep(event.validator).result.push(event.entry)
+        break
+      }
+      case 'suppressed': {
+        getStep(event.validator).suppressed.push(event.entry)
+        break
+      }
+    }
+  }
+
+  const stepResults = [...steps.values()]
+  return Object.assign(stepResults.flatMap(step => step.result), {
+    suppressed: stepResults.flatMap(step => step.suppressed),
+    validators: [...steps.entries()].map(([id, step]) => ({ id, ...step })),
+    document
+  })
+}
@@ -0,0 +1,34 @@
+/**
+ * Run an async function that can be cancelled, with an optional time limit.
+ * The function is given a signal, aborted when the parent signal is aborted or when the time limit is reached.
+ * Functions ignoring the signal are no longer awaited once it is aborted.
+ *
+ * @param {Function} func Async function to run, called with the combined signal
+ * @param {Object} [opts] Additional options
+ * @param {AbortSignal} [opts.signal] Parent signal to cancel the function
+ * @param {number} [opts.timeout=0] Time limit in milliseconds, 0 to disable
+ * @returns {Promise} Value returned by the function. Rejects with a TimeoutError DOMException when the time limit is reached, or the abort reason of the parent signal.
+ */
+export async function runWithTimeout (func, { signal, timeout = 0 } = {}) {
+  signal?.throwIfAborted()
+
+  const controller = new AbortController()
+  const onParentAbort = () => controller.abort(signal.reason)
+  signal?.addEventListener('abort', onParentAbort, { once: true })
+  let timer = null
+  if (timeout > 0) {
+    timer = setTimeout(() => {
+      controller.abort(new DOMException(`Operation timed out after ${timeout}ms.`, 'TimeoutError'))
+    }, timeout)
+  }
+
+  try {
+    return await new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true })
+      Promise.resolve().then(() => func(controller.signal)).then(resolve, reject)
+    })
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onParentAbort)
+  }
+}
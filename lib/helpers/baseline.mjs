@@ -0,0 +1,73 @@
+import { createHash } from 'node:crypto'
+
+export const BASELINE_VERSION = 1
+
+const PATH_INDEX_RE = /\[[0-9]+\]/g
+
+/**
+ * Get a normalized location of a result entry, that survives unrelated edits of the document.
+ * Line numbers are replaced by the contents of the lines they point to,
+ * and element paths are stripped of their indices (e.g. rfc.middle.section.t), as inserting an element shifts the indices of its siblings.
+ *
+ * @param {ValidationError} entry Result entry
+ * @param {string} [source] Document contents
+ * @returns {string} Normalized location
+ */
+export function getNormalizedLocation (entry, source = '') {
+  if (entry.path) {
+    return entry.path.replace(PATH_INDEX_RE, '')
+  } else if (entry.lines?.length > 0) {
+    const sourceLines = source.split('\n')
+    return entry.lines.map(l => (sourceLines[l.line - 1] ?? '').replace(/\s+/g, ' ').trim()).join('\n')
+  } else {
+    return ''
+  }
+}
+
+/**
+ * Get the fingerprint of a result entry, based on its code and normalized location
+ *
+ * @param {ValidationError} entry Result entry
+ * @param {string} [source] Document contents
+ * @returns {string} Fingerprint
+ */
+export function getFingerprint (entry, source = '') {
+  return createHash('sha1')
+    .update([entry.name, getNormalizedLocation(entry, source), entry.text ?? ''].join('\0'))
+    .digest('hex')
+    .slice(0, 16)
+}
+
+/**
+ * Split results between entries that are new and entries already listed in a baseline.
+ * Identical fingerprints are counted, so additional occurrences of a known nit are reported as new.
+ *
+ * @param {ValidationError[]} result List of errors/warnings/comments
+ * @param {Object} baseline Baseline object
+ * @param {Object[]} baseline.nits List of known nits, with their code and fingerprint
+ * @param {string} [source] Document contents
+ * @returns {{ active: ValidationError[], known: ValidationError[] }} New and known entries
+ */
+export function applyBaseline (result, baseline, source = '') {
+  if (!Array.isArray(baseline?.nits)) {
+    throw new Error('Invalid baseline: missing nits list.')
+  }
+
+  const remaining = new Map()
+  for (const nit of baseline.nits) {
+    remaining.set(nit.fingerprint, (remaining.get(nit.fingerprint) ?? 0) + 1)
+  }
+
+  const active = []
+  const known = []
+  for (const entry of result) {
+    const fingerprint = getFingerprint(entry, source)
+    if (remaining.get(fingerprint) > 0) {
+      remaining.set(fingerprint, remaining.get(fingerprint) - 1)
+      known.push(entry)
+    } else {
+      active.push(entry)
+    }
+  }
+  return { active, known }
+}
@@ -0,0 +1,73 @@
+import { createHash } from 'node:crypto'
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+
+/**
+ * Get the default cache directory of idnits, following the XDG Base Directory specification.
+ * Falls back to the platform conventions on Windows and macOS when XDG_CACHE_HOME isn't set.
+ *
+ * @param {Object} [opts] Additional options
+ * @param {Object} [opts.env] Environment variables
+ * @param {string} [opts.platform] Platform (e.g. linux, darwin, win32)
+ * @param {string} [opts.homeDir] Home directory of the user
+ * @returns {string} Cache directory path
+ */
+export function getDefaultCacheDir ({ env = process.env, platform = process.platform, homeDir = os.homedir() } = {}) {
+  if (env.XDG_CACHE_HOME) {
+    return path.join(env.XDG_CACHE_HOME, 'idnits')
+  }
+  switch (platform) {
+    case 'win32':
+      return path.join(env.LOCALAPPDATA || path.join(homeDir, 'AppData', 'Local'), 'idnits', 'Cache')
+    case 'darwin':
+      return path.join(homeDir, 'Library', 'Caches', 'idnits')
+    default:
+      return path.join(homeDir, '.cache', 'idnits')
+  }
+}
+
+/**
+ * Create a remote cache store persisting responses on disk, as one JSON file per URL.
+ * The cache is best effort: entries that can't be read are considered missing, and write failures are ignored.
+ *
+ * @param {string} cacheDir Directory to store the responses in, created if missing
+ * @param {Object} [opts] Additional options
+ * @param {boolean} [opts.refresh] Ignore existing entries, so that all resources are fetched again (and the entries replaced)
+ * @returns {RemoteCacheStore} Cache store, see setRemoteCacheStore()
+ */
+export function createDiskCacheStore (cacheDir, { refresh = false } = {}) {
+  let dirCreated = null
+
+  function getEntryPath (url) {
+    return path.join(cacheDir, `${createHash('sha256').update(url).digest('hex')}.json`)
+  }
+
+  return {
+    async get (url) {
+      if (refresh) {
+        return null
+      }
+      try {
+        const entry = JSON.parse(await readFile(getEntryPath(url), 'utf8'))
+        // -> Ignore hash collisions and entries from another format
+        return entry?.url === url && typeof entry.body === 'string' && Number.isFinite(entry.storedAt) ? entry : null
+      } catch (err) {
+        return null
+      }
+    },
+    async set (url, entry) {
+      try {
+        dirCreated ??= mkdir(cacheDir, { recursive: true })
+        await dirCreated
+        // -> Write to a temporary file first, so that concurrent runs never read a partial entry
+        const entryPath = getEntryPath(url)
+        const tmpPath = `${entryPath}.${process.pid}.tmp`
+        await writeFile(tmpPath, JSON.stringify({ url, ...entry }))
+        await rename(tmpPath, entryPath)
+      } catch (err) {
+        dirCreated = null
+      }
+    }
+  }
+}
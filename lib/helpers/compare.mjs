@@ -0,0 +1,45 @@
+import { getFingerprint } from './baseline.mjs'
+
+/**
+ * @typedef {Object} ComparisonResult
+ * @property {ValidationError[]} fixed Entries of the previous revision no longer present
+ * @property {ValidationError[]} added Entries introduced in the new revision
+ * @property {ValidationError[]} unchanged Entries present in both revisions (as reported for the new revision)
+ */
+
+/**
+ * Compare the results of two revisions of a document, matching entries by code and normalized location
+ *
+ * @param {ValidationError[]} previousResult Results of the previous revision
+ * @param {ValidationError[]} currentResult Results of the new revision
+ * @param {Object} [opts] Additional options
+ * @param {string} [opts.previousSource] Contents of the previous revision
+ * @param {string} [opts.currentSource] Contents of the new revision
+ * @returns {ComparisonResult} Fixed, added and unchanged entries
+ */
+export function compareResults (previousResult, currentResult, { previousSource = '', currentSource = '' } = {}) {
+  const remaining = new Map()
+  for (const entry of previousResult) {
+    const fingerprint = getFingerprint(entry, previousSource)
+    remaining.set(fingerprint, [...(remaining.get(fingerprint) ?? []), entry])
+  }
+
+  const matched = new Set()
+  const added = []
+  const unchanged = []
+  for (const entry of currentResult) {
+    const matches = remaining.get(getFingerprint(entry, currentSource))
+    if (matches?.length > 0) {
+      matched.add(matches.shift())
+      unchanged.push(entry)
+    } else {
+      added.push(entry)
+    }
+  }
+
+  return {
+    fixed: previousResult.filter(entry => !matched.has(entry)),
+    added,
+    unchanged
+  }
+}
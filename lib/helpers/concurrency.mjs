@@ -0,0 +1,66 @@
+/**
+ * Check a concurrency limit, which must be an integer of 1 or more (or Infinity)
+ *
+ * @param {number} limit Maximum number of concurrent calls
+ */
+function assertLimit (limit) {
+  if (!(limit >= 1) || (!Number.isInteger(limit) && limit !== Infinity)) {
+    throw new Error('Invalid Concurrency Limit')
+  }
+}
+
+/**
+ * Map items through an async function, running at most `limit` calls at the same time.
+ * Results are returned in the same order as the items.
+ *
+ * @param {Array} items Items to process
+ * @param {number} limit Maximum number of concurrent calls
+ * @param {Function} func Async function called with the item and its index
+ * @returns {Promise<Array>} Results, in items order
+ */
+export async function mapConcurrent (items, limit, func) {
+  assertLimit(limit)
+  const results = new Array(items.length)
+  let nextIdx = 0
+
+  async function worker () {
+    while (nextIdx < items.length) {
+      const idx = nextIdx++
+      results[idx] = await func(items[idx], idx)
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length))
+  await Promise.all(Array.from({ length: workerCount }, worker))
+  return results
+}
+
+/**
+ * Create a limiter, running at most `limit` async functions at the same time.
+ * Additional calls are queued and run in call order.
+ *
+ * @param {number} limit Maximum number of concurrent calls
+ * @returns {Function} Limiter, called with an async function and returning a promise of its result
+ */
+export function createLimiter (limit) {
+  assertLimit(limit)
+  const queue = []
+  let activeCount = 0
+
+  function next () {
+    if (activeCount >= limit || queue.length < 1) {
+      return
+    }
+    activeCount++
+    const { func, resolve, reject } = queue.shift()
+    Promise.resolve().then(func).then(resolve, reject).finally(() => {
+      activeCount--
+      next()
+    })
+  }
+
+  return (func) => new Promise((resolve, reject) => {
+    queue.push({ func, resolve, reject })
+    next()
+  })
+}
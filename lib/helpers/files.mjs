@@ -0,0 +1,85 @@
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { stat } from 'node:fs/promises'
+import fg from 'fast-glob'
+import { extractExternalEntities } from '../parsers/xml.mjs'
+
+const DOCUMENT_EXTENSIONS_GLOB = '*.{txt,xml}'
+const URL_SCHEME_RE = /^[a-z][a-z0-9+.-]*:\/\//i
+
+/**
+ * Expand a list of file paths, directories and glob patterns into a list of document paths.
+ * Directories are expanded to the .txt and .xml documents they directly contain.
+ *
+ * @param {string[]} inputs List of file paths, directories and/or glob patterns
+ * @param {string} [cwd] Directory to resolve relative inputs from
+ * @returns {Promise<string[]>} Unique absolute paths of documents, in input order
+ */
+export async function expandDocumentPaths (inputs, cwd = process.cwd()) {
+  const docPaths = new Set()
+  for (const input of inputs) {
+    if (fg.isDynamicPattern(input)) {
+      const matches = await fg(input, {
+        cwd,
+        absolute: true,
+        onlyFiles: true
+      })
+      if (matches.length < 1) {
+        throw new Error(`No document matches the pattern ${input}`)
+      }
+      for (const match of matches.sort()) {
+        docPaths.add(path.normalize(match))
+      }
+      continue
+    }
+
+    const inputPath = path.resolve(cwd, input)
+    let inputStat = null
+    try {
+      inputStat = await stat(inputPath)
+    } catch (err) {
+      // -> Missing files are reported when reading the document
+    }
+    if (inputStat?.isDirectory()) {
+      const matches = await fg(`${fg.convertPathToPattern(inputPath)}/${DOCUMENT_EXTENSIONS_GLOB}`, {
+        absolute: true,
+        onlyFiles: true
+      })
+      if (matches.length < 1) {
+        throw new Error(`No .txt or .xml document found in directory ${input}`)
+      }
+      for (const match of matches.sort()) {
+        docPaths.add(path.normalize(match))
+      }
+    } else {
+      docPaths.add(inputPath)
+    }
+  }
+  return [...docPaths]
+}
+
+/**
+ * Get the local files included by a XML document through SYSTEM external entities.
+ * Remote entities (http://, https://, etc.) are ignored.
+ *
+ * @param {string} docPath Absolute path of the document
+ * @param {string} rawText Document contents
+ * @returns {string[]} Unique absolute paths of the included files
+ */
+export function getLocalIncludes (docPath, rawText) {
+  if (path.extname(docPath).toLowerCase() !== '.xml') {
+    return []
+  }
+  const includes = new Set()
+  for (const entity of extractExternalEntities(rawText)) {
+    if (entity.type !== 'SYSTEM' || !entity.url) {
+      continue
+    }
+    if (entity.url.startsWith('file://')) {
+      includes.add(fileURLToPath(entity.url))
+    } else if (!URL_SCHEME_RE.test(entity.url)) {
+      includes.add(path.resolve(path.dirname(docPath), entity.url))
+    }
+  }
+  return [...includes]
+}
@@ -0,0 +1,146 @@
+// -> Comments, CDATA sections, processing instructions, doctype declarations, start and end tags
+const XML_TOKEN_RE = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?([\w.:-]+)[\s\S]*?\?>|<!DOCTYPE(?:[^[>]|\[[\s\S]*?\])*>|<(\/?)([A-Za-z_][\w.:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g
+const PATH_SEGMENT_RE = /^(.+?)(?:\[(\d+)\])?$/
+
+/**
+ * @typedef {Object} SourceLocation
+ * @property {number} line Line number, starting at 1
+ * @property {number} pos Column number, starting at 1
+ */
+
+/**
+ * Get the line / column of an offset in a text
+ *
+ * @param {number[]} lineOffsets Offsets of the start of each line
+ * @param {number} offset Offset in the text
+ * @returns {SourceLocation} Location
+ */
+function offsetToLocation (lineOffsets, offset) {
+  let low = 0
+  let high = lineOffsets.length - 1
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2)
+    if (lineOffsets[mid] <= offset) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+  return { line: low + 1, pos: offset - lineOffsets[low] + 1 }
+}
+
+/**
+ * Get the offsets of the start of each line of a text
+ *
+ * @param {string} rawText Text
+ * @returns {number[]} Line start offsets
+ */
+function getLineOffsets (rawText) {
+  const lineOffsets = [0]
+  for (let idx = rawText.indexOf('\n'); idx >= 0; idx = rawText.indexOf('\n', idx + 1)) {
+    lineOffsets.push(idx + 1)
+  }
+  return lineOffsets
+}
+
+/**
+ * Build a lightweight tree of the elements and processing instructions of a raw XML document,
+ * keeping the offset of each node in the text.
+ *
+ * @param {string} rawText Raw XML document
+ * @returns {Object} Root node
+ */
+function buildXMLTree (rawText) {
+  const root = { name: null, offset: null, attrs: '', attrsOffset: 0, children: [] }
+  const stack = [root]
+  for (const match of rawText.matchAll(XML_TOKEN_RE)) {
+    const [token, piName, closing, name, attrs] = match
+    const parent = stack[stack.length - 1]
+    if (piName) {
+      parent.children.push({ name: `?${piName}`, offset: match.index, attrs: '', attrsOffset: 0, children: [] })
+    } else if (name && closing) {
+      // -> Tolerate mismatched end tags by unwinding to the matching start tag, if any
+      const idx = stack.findLastIndex(n => n.name === name)
+      if (idx > 0) {
+        stack.length = idx
+      }
+    } else if (name) {
+      const node = { name, offset: match.index, attrs, attrsOffset: match.index + 1 + name.length, children: [] }
+      parent.children.push(node)
+      if (!token.endsWith('/>')) {
+        stack.push(node)
+      }
+    }
+  }
+  return root
+}
+
+/**
+ * Create a function resolving paths of the parsed XML tree (e.g. rfc.back.references[0].name)
+ * to their location in the raw XML document. Attributes resolve to their position in the start tag,
+ * while paths ending with text nodes or unknown keys resolve to their closest element.
+ *
+ * @param {string} rawText Raw XML document
+ * @returns {function(string): (SourceLocation|null)} Function resolving a path to its location, or null if not found
+ */
+export function createXMLLocator (rawText) {
+  const lineOffsets = getLineOffsets(rawText)
+  const root = buildXMLTree(rawText)
+
+  return (path) => {
+    if (!path) {
+      return null
+    }
+    let node = root
+    for (const segment of path.split('.')) {
+      // -> Attributes are grouped under _attr in the parsed tree
+      if (segment === '_attr') {
+        continue
+      }
+      const [, name, idx] = segment.match(PATH_SEGMENT_RE)
+      const child = node.children.filter(c => c.name === name)[idx ? parseInt(idx) : 0]
+      if (child) {
+        node = child
+        continue
+      }
+      const attrMatch = node.attrs.match(new RegExp(`(^|\\s)${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*=`))
+      if (attrMatch) {
+        return offsetToLocation(lineOffsets, node.attrsOffset + attrMatch.index + attrMatch[1].length)
+      }
+      break
+    }
+    return node === root ? null : offsetToLocation(lineOffsets, node.offset)
+  }
+}
+
+/**
+ * Create a function resolving a line of a raw XML document to the line where the markup (tag, comment, processing instruction...)
+ * spanning over its start begins. Content inserted at the start of the resolved line never lands inside markup,
+ * e.g. inside a start tag with attributes on multiple lines.
+ *
+ * @param {string} rawText Raw XML document
+ * @returns {function(number): number} Function resolving a line number to the line number where its enclosing markup starts, both starting at 1
+ */
+export function createXMLMarkupLineResolver (rawText) {
+  const lineOffsets = getLineOffsets(rawText)
+  // -> Tokens never overlap, so they are sorted by start offset
+  const tokens = [...rawText.matchAll(XML_TOKEN_RE)].map(m => ({ start: m.index, end: m.index + m[0].length }))
+
+  return (line) => {
+    const lineOffset = lineOffsets[Math.min(Math.max(1, line), lineOffsets.length) - 1]
+    // -> Find the last token starting before the line
+    let low = 0
+    let high = tokens.length - 1
+    let found = null
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2)
+      if (tokens[mid].start < lineOffset) {
+        found = tokens[mid]
+        low = mid + 1
+      } else {
+        high = mid - 1
+      }
+    }
+    return found && found.end > lineOffset ? offsetToLocation(lineOffsets, found.start).line : line
+  }
+}
@@ -0,0 +1,79 @@
+import { DEFAULT_VALIDATORS } from '../config/validators.mjs'
+
+const DOC_TYPES = ['txt', 'xml']
+const VALIDATOR_ID_RE = /^[a-z0-9][a-z0-9./-]*$/
+
+const validators = new Map()
+
+/**
+ * @typedef {Object} ValidatorDefinition
+ * @property {string} id Unique identifier of the validator, in lowercase kebab case. (e.g. line-length)
+ * @property {string} [progress] Progress message reported while the validator runs
+ * @property {string[]} [types] Document types supported by the validator (txt, xml)
+ * @property {boolean} [remote] Whether the validator needs an internet connection. Remote validators are skipped in offline mode.
+ * @property {Function} validate Async function receiving the parsed document and options (mode, offline, allowedDomains, signal), returning a list of errors/warnings/comments
+ */
+
+/**
+ * Register a new validator, to be run by checkNits() after the built-in ones
+ *
+ * @param {ValidatorDefinition} validator Validator definition
+ * @returns {ValidatorDefinition} Registered validator
+ */
+export function registerValidator ({ id, progress, types = DOC_TYPES, remote = false, validate } = {}) {
+  if (typeof id !== 'string' || !VALIDATOR_ID_RE.test(id)) {
+    throw new Error('Invalid Validator ID')
+  }
+  if (validators.has(id)) {
+    throw new Error(`Validator ${id} is already registered`)
+  }
+  if (!Array.isArray(types) || types.length < 1 || !types.every(t => DOC_TYPES.includes(t))) {
+    throw new Error('Invalid Validator Document Types')
+  }
+  if (typeof validate !== 'function') {
+    throw new Error('Invalid Validator Function')
+  }
+
+  const validator = {
+    id,
+    progress: progress ?? `Running ${id}...`,
+    types: [...types],
+    remote: Boolean(remote),
+    validate
+  }
+  validators.set(id, validator)
+  return validator
+}
+
+/**
+ * Remove a registered validator
+ *
+ * @param {string} id Identifier of the validator to remove
+ * @returns {boolean} Whether a validator was removed
+ */
+export function unregisterValidator (id) {
+  return validators.delete(id)
+}
+
+/**
+ * Get registered validators, in run order
+ *
+ * @param {string} [type] Only return validators supporting this document type (txt, xml)
+ * @returns {ValidatorDefinition[]} List of validators
+ */
+export function getValidators (type) {
+  const list = [...validators.values()]
+  return type ? list.filter(v => v.types.includes(type)) : list
+}
+
+/**
+ * Restore the registry to the built-in validators only
+ */
+export function resetValidators () {
+  validators.clear()
+  for (const validator of DEFAULT_VALIDATORS) {
+    registerValidator(validator)
+  }
+}
+
+resetValidators()
@@ -1,24 +1,247 @@
-/* c8 ignore start */
+import { createLimiter } from './concurrency.mjs'
+
 const FILENAME_VERSION_SUFFIX_RE = /-[0-9]{2}$/
+export const REMOTE_CONCURRENCY_DEFAULT = 6
+export const REMOTE_MEMORY_CACHE_MAX = 500
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+/**
+ * Time during which cached responses are used without revalidation, by source
+ */
+export const REMOTE_CACHE_TTLS = {
+  'iana-root-zone': 7 * DAY,
+  'iana-arpa-zone': 7 * DAY,
+  'downref-registry': DAY,
+  'rfc-info': 7 * DAY,
+  // -> Document states change often during the draft lifecycle
+  'datatracker-doc': HOUR
+}
+
+// Bounds the number of outbound requests in flight, as validators run concurrently
+let remoteLimiter = createLimiter(REMOTE_CONCURRENCY_DEFAULT)
+
+// Recently used cache entries by URL, when caching is enabled (e.g. between runs of the watch mode)
+let remoteCache = null
+
+// Fetch implementation used for remote lookups, defaults to the global fetch
+let remoteFetchImpl = null
+
+// Persistent store of remote responses (e.g. on disk, between runs), see setRemoteCacheStore()
+let remoteCacheStore = null
+
+/**
+ * @typedef {Object} RemoteCacheEntry
+ * @property {number} status HTTP status of the response
+ * @property {string} body Response body
+ * @property {string} [etag] ETag header of the response, to revalidate the entry
+ * @property {string} [lastModified] Last-Modified header of the response, to revalidate the entry
+ * @property {number} storedAt Time the response was fetched or last revalidated, in milliseconds since epoch
+ */
+
+/**
+ * @typedef {Object} RemoteCacheStore
+ * @property {Function} get Async function receiving a URL, returning its RemoteCacheEntry or null if not cached
+ * @property {Function} set Async function receiving a URL and its RemoteCacheEntry
+ */
+
+/**
+ * Keep remote lookup responses in memory, so that repeated validations don't fetch them again.
+ * Entries expire with the same TTLs as the persistent store, and only the REMOTE_MEMORY_CACHE_MAX most recently used are kept.
+ *
+ * @param {boolean} [enabled] Whether to enable or disable (and clear) the cache
+ */
+export function setRemoteCache (enabled = true) {
+  remoteCache = enabled ? (remoteCache ?? new Map()) : null
+}
+
+/**
+ * Set the maximum number of outbound requests in flight
+ *
+ * @param {number} limit Maximum number of concurrent requests
+ */
+export function setRemoteConcurrency (limit) {
+  remoteLimiter = createLimiter(limit)
+}
+
+/**
+ * Set the fetch implementation used by remote lookups, e.g. to route them through a proxy
+ *
+ * @param {Function} [fetchImpl] Function with the same signature as the global fetch. Omit to restore the global fetch.
+ */
+export function setRemoteFetch (fetchImpl) {
+  remoteFetchImpl = fetchImpl ?? null
+}
+
+/**
+ * Set the store persisting remote responses, e.g. on disk between runs (see createDiskCacheStore())
+ *
+ * @param {RemoteCacheStore} [store] Cache store. Omit to disable the persistent cache.
+ */
+export function setRemoteCacheStore (store) {
+  remoteCacheStore = store ?? null
+}
+
+/**
+ * Fetch a remote resource, with the options shared by all remote lookups.
+ * Requests exceeding the concurrency limit are queued.
+ *
+ * @param {string} url URL of the resource
+ * @param {Object} [opts] Additional options
+ * @param {Object} [opts.headers] Additional request headers
+ * @param {AbortSignal} [opts.signal] Signal to cancel the request
+ * @returns {Promise<Response>} Response
+ */
+export async function remoteFetch (url, { headers = {}, signal } = {}) {
+  return remoteLimiter(() => {
+    signal?.throwIfAborted()
+    // -> Tests replace the global fetch with setRemoteFetch(), it's only called for actual network requests
+    /* c8 ignore next */
+    return (remoteFetchImpl ?? fetch)(url, {
+      headers: {
+        'User-Agent': 'idnits',
+        ...headers
+      },
+      credentials: 'omit',
+      ...signal && { signal }
+    })
+  })
+}
+
+/**
+ * Keep a cache entry in memory, if enabled, evicting the least recently used entry when full
+ *
+ * @param {string} url URL of the resource
+ * @param {RemoteCacheEntry} entry Cache entry
+ */
+function rememberEntry (url, entry) {
+  if (!remoteCache) {
+    return
+  }
+  // -> Maps iterate in insertion order, so re-inserting the entry marks it as the most recently used
+  remoteCache.delete(url)
+  remoteCache.set(url, entry)
+  if (remoteCache.size > REMOTE_MEMORY_CACHE_MAX) {
+    remoteCache.delete(remoteCache.keys().next().value)
+  }
+}
+
+/**
+ * Get the cache entry of a resource, from memory or from the persistent cache store
+ *
+ * @param {string} url URL of the resource
+ * @returns {Promise<RemoteCacheEntry>} Cache entry or null if not cached
+ */
+async function getCacheEntry (url) {
+  const entry = remoteCache?.get(url) ?? await remoteCacheStore?.get(url) ?? null
+  if (entry) {
+    rememberEntry(url, entry)
+  }
+  return entry
+}
+
+/**
+ * Store the cache entry of a resource, in memory and in the persistent cache store
+ *
+ * @param {string} url URL of the resource
+ * @param {RemoteCacheEntry} entry Cache entry
+ */
+async function setCacheEntry (url, entry) {
+  rememberEntry(url, entry)
+  await remoteCacheStore?.set(url, entry)
+}
+
+/**
+ * Fetch a remote resource as text, using the in-memory cache and the persistent cache store if set.
+ * Cached responses are used as-is until the TTL of their source expires, then revalidated with their ETag / Last-Modified headers.
+ * If the resource can't be fetched, the cached response is used regardless of its age.
+ *
+ * @param {string} url URL of the resource
+ * @param {Object} opts Options
+ * @param {string} opts.source Source of the resource, one of the REMOTE_CACHE_TTLS keys
+ * @param {Object} [opts.headers] Additional request headers
+ * @param {AbortSignal} [opts.signal] Signal to cancel the request
+ * @returns {Promise<Object>} Response status and body
+ */
+export async function fetchRemoteCached (url, { source, headers = {}, signal } = {}) {
+  const cached = await getCacheEntry(url)
+  if (cached && Date.now() - cached.storedAt < (REMOTE_CACHE_TTLS[source] ?? 0)) {
+    return { status: cached.status, body: cached.body }
+  }
+
+  let resp = null
+  try {
+    resp = await remoteFetch(url, {
+      headers: {
+        ...headers,
+        ...cached?.etag && { 'If-None-Match': cached.etag },
+        ...cached?.lastModified && { 'If-Modified-Since': cached.lastModified }
+      },
+      signal
+    })
+  } catch (err) {
+    if (cached && !signal?.aborted) {
+      return { status: cached.status, body: cached.body }
+    }
+    throw err
+  }
+
+  if (resp.status === 304 && cached) {
+    await setCacheEntry(url, { ...cached, storedAt: Date.now() })
+    return { status: cached.status, body: cached.body }
+  }
+  const body = await resp.text()
+  // -> Not found responses are cached as well, other errors are retried on the next lookup
+  if (resp.ok || resp.status === 404) {
+    await setCacheEntry(url, {
+      status: resp.status,
+      body,
+      ...resp.headers.has('etag') && { etag: resp.headers.get('etag') },
+      ...resp.headers.has('last-modified') && { lastModified: resp.headers.get('last-modified') },
+      storedAt: Date.now()
+    })
+  }
+  return { status: resp.status, body }
+}
+
+/**
+ * Fetch a JSON resource, using the cache if enabled
+ *
+ * @param {string} url URL of the resource
+ * @param {Object} opts Options
+ * @param {string} opts.source Source of the resource, one of the REMOTE_CACHE_TTLS keys
+ * @param {AbortSignal} [opts.signal] Signal to cancel the request
+ * @returns {Object} Parsed JSON response or null if not found
+ */
+async function fetchRemoteJson (url, { source, signal } = {}) {
+  const { status, body } = await fetchRemoteCached(url, {
+    source,
+    // -> Accept is a CORS-safelisted header, so browsers send the request without a preflight
+    headers: {
+      Accept: 'application/json'
+    },
+    signal
+  })
+  return status >= 200 && status < 300 ? JSON.parse(body) : null
+}
 
 /**
  * Fetch document info from Datatracker
  *
  * @param {String} docName Document filename
+ * @param {Object} [opts] Additional options
+ * @param {AbortSignal} [opts.signal] Signal to cancel the request
  * @returns {Object} Document info object
  */
-export async function fetchRemoteDocInfo (docName) {
+export async function fetchRemoteDocInfo (docName, { signal } = {}) {
   try {
     const docNameWithoutVersion = FILENAME_VERSION_SUFFIX_RE.test(docName) ? docName.slice(0, -3) : docName
-    const resp = await fetch(`https://datatracker.ietf.org/api/v1/doc/document/${docNameWithoutVersion}/`, {
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'idnits'
-      },
-      credentials: 'omit'
-    })
-    return resp.ok ? resp.json() : null
+    return await fetchRemoteJson(`https://datatracker.ietf.org/api/v1/doc/document/${docNameWithoutVersion}/`, { source: 'datatracker-doc', signal })
   } catch (err) {
+    if (signal?.aborted) {
+      throw err
+    }
     console.warn(err.message)
   }
 }
@@ -27,20 +250,18 @@ export async function fetchRemoteDocInfo (docName) {
  * Fetch document info from Datatracker into json specialized format
  *
  * @param {String} docName Document filename
+ * @param {Object} [opts] Additional options
+ * @param {AbortSignal} [opts.signal] Signal to cancel the request
  * @returns {Object} Document info object
  */
-export async function fetchRemoteDocInfoJson (docName) {
+export async function fetchRemoteDocInfoJson (docName, { signal } = {}) {
   try {
     const docNameWithoutVersion = FILENAME_VERSION_SUFFIX_RE.test(docName) ? docName.slice(0, -3) : docName
-    const resp = await fetch(`https://datatracker.ietf.org/doc/${docNameWithoutVersion}/doc.json`, {
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'idnits'
-      },
-      credentials: 'omit'
-    })
-    return resp.ok ? resp.json() : null
+    return await fetchRemoteJson(`https://datatracker.ietf.org/doc/${docNameWithoutVersion}/doc.json`, { source: 'datatracker-doc', signal })
   } catch (err) {
+    if (signal?.aborted) {
+      throw err
+    }
     console.warn(err.message)
   }
 }
@@ -49,20 +270,17 @@ export async function fetchRemoteDocInfoJson (docName) {
  * Fetch RFC info from rfc-editor
  *
  * @param {String|Number} rfcNum RFC Number to fetch
+ * @param {Object} [opts] Additional options
+ * @param {AbortSignal} [opts.signal] Signal to cancel the request
  * @returns {Object} RFC info object
  */
-export async function fetchRemoteRfcInfo (rfcNum) {
+export async function fetchRemoteRfcInfo (rfcNum, { signal } = {}) {
   try {
-    const resp = await fetch(`https://www.rfc-editor.org/rfc/rfc${rfcNum}.json`, {
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'idnits'
-      },
-      credentials: 'omit'
-    })
-    return resp.ok ? resp.json() : null
+    return await fetchRemoteJson(`https://www.rfc-editor.org/rfc/rfc${rfcNum}.json`, { source: 'rfc-info', signal })
   } catch (err) {
+    if (signal?.aborted) {
+      throw err
+    }
     console.warn(err.message)
   }
 }
-/* c8 ignore end */
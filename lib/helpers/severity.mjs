@@ -0,0 +1,67 @@
+import { ValidationComment, ValidationError, ValidationWarning } from './error.mjs'
+
+export const SEVERITIES = ['error', 'warning', 'comment']
+
+const severityClasses = {
+  error: ValidationError,
+  warning: ValidationWarning,
+  comment: ValidationComment
+}
+
+/**
+ * Get the severity of a result entry
+ *
+ * @param {ValidationError} entry Result entry
+ * @returns {string} Severity (error, warning or comment)
+ */
+export function getSeverity (entry) {
+  if (entry instanceof ValidationComment) {
+    return 'comment'
+  } else if (entry instanceof ValidationWarning) {
+    return 'warning'
+  } else {
+    return 'error'
+  }
+}
+
+/**
+ * Create a copy of a result entry with a different severity
+ *
+ * @param {ValidationError} entry Result entry
+ * @param {string} severity Target severity (error, warning or comment)
+ * @returns {ValidationError} Result entry of the target severity
+ */
+export function withSeverity (entry, severity) {
+  if (getSeverity(entry) === severity) {
+    return entry
+  }
+  const SeverityClass = severityClasses[severity]
+  if (!SeverityClass) {
+    throw new Error('Invalid Severity')
+  }
+  return new SeverityClass(entry.name, entry.message, {
+    ref: entry.refUrl,
+    lines: entry.lines,
+    path: entry.path,
+    text: entry.text
+  })
+}
+
+/**
+ * Apply per-rule overrides to a list of results
+ *
+ * @param {ValidationError[]} result List of errors/warnings/comments
+ * @param {Object<string, string>} rules Map of result codes to a severity or "off"
+ * @returns {ValidationError[]} List of errors/warnings/comments with overrides applied
+ */
+export function applyRuleOverrides (result, rules = {}) {
+  const overridden = []
+  for (const entry of result) {
+    const rule = rules[entry.name]
+    if (rule === 'off') {
+      continue
+    }
+    overridden.push(rule ? withSeverity(entry, rule) : entry)
+  }
+  return overridden
+}
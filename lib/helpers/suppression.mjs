@@ -0,0 +1,88 @@
+import { findAllDescendantsWith } from './traversal.mjs'
+
+export const SUPPRESSION_PI_NAME = '?idnits'
+export const SUPPRESSION_DIRECTIVE_RE = /<\?idnits\s+ignore\s+(?<codes>[A-Z0-9_,\s]+?)\s*\?>/g
+
+const DOC_LEVEL_PATHS = ['', 'rfc']
+
+/**
+ * @typedef {Object} Suppression
+ * @property {string[]} codes List of result codes to suppress
+ * @property {string} [path] XML only - Path of the element in which the directive was declared
+ * @property {number[]} [lines] TXT only - Line numbers covered by the directive
+ */
+
+/**
+ * Split a list of codes separated by spaces and/or commas
+ *
+ * @param {string} codes List of codes
+ * @returns {string[]} Codes
+ */
+export function splitSuppressionCodes (codes) {
+  return codes.split(/[\s,]+/).filter(c => c)
+}
+
+/**
+ * Extract <?idnits ignore CODE?> processing instructions from a parsed XML tree
+ *
+ * @param {Object} data Parsed XML tree
+ * @returns {Suppression[]} List of suppressions, scoped to the enclosing element
+ */
+export function extractXMLSuppressions (data) {
+  const suppressions = []
+  const matches = findAllDescendantsWith(data, (v, k) => k === SUPPRESSION_PI_NAME)
+  for (const match of matches) {
+    for (const entry of Array.isArray(match.value) ? match.value : [match.value]) {
+      // -> fast-xml-parser exposes the PI content as boolean attributes
+      const [directive, ...codes] = Object.keys(entry?._attr ?? {})
+      if (directive === 'ignore' && codes.length > 0) {
+        suppressions.push({
+          codes: splitSuppressionCodes(codes.join(' ')),
+          path: match.path.slice(0, -1).join('.')
+        })
+      }
+    }
+  }
+  return suppressions
+}
+
+/**
+ * Check whether a result entry is covered by a suppression
+ *
+ * @param {ValidationError} entry Result entry
+ * @param {Suppression} suppression Suppression
+ * @returns {boolean} Whether the entry is suppressed
+ */
+function isSuppressedBy (entry, suppression) {
+  if (!suppression.codes.includes(entry.name)) {
+    return false
+  }
+  if (suppression.lines) {
+    return entry.lines?.length > 0 && entry.lines.every(l => suppression.lines.includes(l.line))
+  } else if (DOC_LEVEL_PATHS.includes(suppression.path)) {
+    return true
+  } else {
+    return Boolean(entry.path) && (entry.path === suppression.path || entry.path.startsWith(`${suppression.path}.`))
+  }
+}
+
+/**
+ * Split results between active and suppressed entries, based on the document inline directives
+ *
+ * @param {Object} doc Parsed document
+ * @param {ValidationError[]} result List of errors/warnings/comments
+ * @returns {{ active: ValidationError[], suppressed: ValidationError[] }} Active and suppressed entries
+ */
+export function applySuppressions (doc, result) {
+  const active = []
+  const suppressed = []
+  const suppressions = doc?.suppressions ?? []
+  for (const entry of result) {
+    if (suppressions.some(s => isSuppressedBy(entry, s))) {
+      suppressed.push(entry)
+    } else {
+      active.push(entry)
+    }
+  }
+  return { active, suppressed }
+}
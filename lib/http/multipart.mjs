@@ -0,0 +1,76 @@
+const BOUNDARY_RE = /boundary=(?:"([^"]+)"|([^\s;]+))/i
+const HEADER_SEPARATOR = '\r\n\r\n'
+
+/**
+ * @typedef {Object} MultipartPart
+ * @property {string} name Form field name
+ * @property {string} [filename] Filename of uploaded files
+ * @property {string} [contentType] Content type of the part
+ * @property {Buffer} data Part contents
+ */
+
+/**
+ * Get the boundary of a multipart/form-data body from its Content-Type header
+ *
+ * @param {string} contentType Content-Type header value
+ * @returns {string|null} Boundary, or null if the content type isn't multipart
+ */
+export function getMultipartBoundary (contentType) {
+  if (!/^multipart\/form-data\b/i.test(contentType ?? '')) {
+    return null
+  }
+  const match = contentType.match(BOUNDARY_RE)
+  if (!match) {
+    throw new Error('Missing multipart boundary.')
+  }
+  return match[1] ?? match[2]
+}
+
+/**
+ * Parse a multipart/form-data body (RFC 7578)
+ *
+ * @param {Buffer} body Request body
+ * @param {string} boundary Multipart boundary, as returned by getMultipartBoundary()
+ * @returns {MultipartPart[]} Parts of the body, in order
+ */
+export function parseMultipart (body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`)
+  const parts = []
+
+  let idx = body.indexOf(delimiter)
+  if (idx < 0) {
+    throw new Error('Invalid multipart body.')
+  }
+  while (true) {
+    const partStart = idx + delimiter.length
+    // -> The closing delimiter is followed by --
+    if (body.subarray(partStart, partStart + 2).toString('ascii') === '--') {
+      return parts
+    }
+    const nextIdx = body.indexOf(`\r\n--${boundary}`, partStart)
+    if (nextIdx < 0) {
+      throw new Error('Invalid multipart body, missing closing boundary.')
+    }
+    const part = body.subarray(partStart, nextIdx)
+    const headerEnd = part.indexOf(HEADER_SEPARATOR)
+    if (headerEnd < 0) {
+      throw new Error('Invalid multipart body, missing part headers.')
+    }
+    const headers = part.subarray(0, headerEnd).toString('utf8')
+    const disposition = headers.match(/^content-disposition:(.*)$/im)?.[1] ?? ''
+    const name = disposition.match(/\bname="([^"]*)"/i)?.[1]
+    if (name === undefined) {
+      throw new Error('Invalid multipart body, missing part name.')
+    }
+    const filename = disposition.match(/\bfilename="([^"]*)"/i)?.[1]
+    const contentType = headers.match(/^content-type:\s*(.*?)\s*$/im)?.[1]
+    parts.push({
+      name,
+      ...filename !== undefined && { filename },
+      ...contentType && { contentType },
+      data: part.subarray(headerEnd + HEADER_SEPARATOR.length)
+    })
+    // -> Skip the CRLF preceding the next delimiter
+    idx = nextIdx + 2
+  }
+}
@@ -0,0 +1,249 @@
+import http from 'node:http'
+import { checkNits } from '../index.mjs'
+import { getModeByName } from '../config/modes.mjs'
+import { setRemoteCache } from '../helpers/remote.mjs'
+import { JSON_SCHEMA_VERSION, toJSONReport } from '../reporters/json.mjs'
+import { getMultipartBoundary, parseMultipart } from './multipart.mjs'
+
+// -> 10 MB, well above the size of any Internet-Draft
+const MAX_SIZE_DEFAULT = 10 * 1024 * 1024
+
+/**
+ * HTTP Error, sent to the client as a JSON { error } response
+ */
+class HTTPError extends Error {
+  /**
+   * Create new HTTPError
+   *
+   * @param {number} status HTTP status code
+   * @param {string} message Description of the error
+   */
+  constructor (status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+/**
+ * @typedef {Object} HTTPServerOptions
+ * @property {string} [toolVersion] Version of idnits
+ * @property {string} [mode] Default validation mode name, when not set by the request
+ * @property {boolean} [offline] Disable validations that require an internet connection, regardless of the request
+ * @property {number} [timeout] Time limit of each validator in milliseconds (0 to disable)
+ * @property {number} [maxSize] Maximum size of request bodies, in bytes
+ */
+
+/**
+ * Read the body of a request, rejecting once it exceeds the size limit
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {number} maxSize Maximum size, in bytes
+ * @returns {Promise<Buffer>} Request body
+ */
+function readBody (req, maxSize) {
+  return new Promise((resolve, reject) => {
+    if (parseInt(req.headers['content-length']) > maxSize) {
+      return reject(new HTTPError(413, `Request body exceeds the limit of ${maxSize} bytes.`))
+    }
+    const chunks = []
+    let size = 0
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > maxSize) {
+        chunks.length = 0
+        reject(new HTTPError(413, `Request body exceeds the limit of ${maxSize} bytes.`))
+      } else {
+        chunks.push(chunk)
+      }
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+/**
+ * Get the document and validation parameters of a /validate request.
+ * Parameters are read from the query string, then from the form fields of multipart bodies.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {URL} url Request URL
+ * @param {number} maxSize Maximum size of the body, in bytes
+ * @returns {Promise<Object>} Document contents (raw) and parameters (filename, mode, offline)
+ */
+async function readValidateRequest (req, url, maxSize) {
+  const params = Object.fromEntries(url.searchParams)
+  let boundary = null
+  try {
+    boundary = getMultipartBoundary(req.headers['content-type'])
+  } catch (err) {
+    throw new HTTPError(400, err.message)
+  }
+  const body = await readBody(req, maxSize)
+  let raw = body
+
+  if (boundary) {
+    let parts = null
+    try {
+      parts = parseMultipart(body, boundary)
+    } catch (err) {
+      throw new HTTPError(400, err.message)
+    }
+    const filePart = parts.find(p => p.name === 'file')
+    if (!filePart) {
+      throw new HTTPError(400, 'Missing file field in multipart body.')
+    }
+    raw = filePart.data
+    params.filename ??= filePart.filename
+    for (const part of parts) {
+      if (part !== filePart && ['filename', 'mode', 'offline'].includes(part.name)) {
+        params[part.name] = part.data.toString('utf8')
+      }
+    }
+  }
+
+  // -> Only keep the base name, any directory sent by the client is meaningless here
+  const filename = params.filename?.split(/[/\\]/).pop()
+  if (!filename) {
+    throw new HTTPError(400, 'Missing document filename.')
+  }
+  if (!/\.(txt|xml)$/i.test(filename)) {
+    throw new HTTPError(400, 'Unsupported document type, the filename must end with .txt or .xml.')
+  }
+  if (raw.length < 1) {
+    throw new HTTPError(400, 'Empty document.')
+  }
+  return {
+    raw,
+    filename,
+    mode: params.mode,
+    offline: ['true', '1'].includes(params.offline?.toLowerCase())
+  }
+}
+
+/**
+ * Write a JSON response
+ *
+ * @param {http.ServerResponse} res Response
+ * @param {number} status HTTP status code
+ * @param {Object} body Response body
+ * @param {Object} [headers] Additional headers
+ */
+function sendJSON (res, status, body, headers = {}) {
+  const data = JSON.stringify(body)
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(data, 'utf8'),
+    ...headers
+  })
+  res.end(data)
+}
+
+/**
+ * Create an HTTP server exposing the validation of documents as a REST API:
+ *
+ * - `POST /validate` validates a document, sent either as a multipart/form-data upload (`file` field) or as the raw body.
+ *   The filename, mode and offline parameters are read from the query string or form fields.
+ *   Responds with the JSON report of the document.
+ * - `GET /health` responds with the server status.
+ * - `GET /version` responds with the idnits version and JSON output schema version.
+ *
+ * The server isn't listening yet, call listen() on the returned server to start it.
+ *
+ * @param {HTTPServerOptions} [opts] Options
+ * @returns {http.Server} HTTP server
+ */
+export function createHTTPServer ({
+  toolVersion,
+  mode: defaultMode = 'normal',
+  offline = false,
+  timeout = 0,
+  maxSize = MAX_SIZE_DEFAULT
+} = {}) {
+  // Remote lookups are cached for the server lifetime, as the same references are looked up by most documents
+  setRemoteCache(true)
+
+  const routes = {
+    '/health': {
+      GET: () => ({ status: 'ok' })
+    },
+    '/version': {
+      GET: () => ({
+        name: 'idnits',
+        version: toolVersion ?? null,
+        schemaVersion: JSON_SCHEMA_VERSION
+      })
+    },
+    '/validate': {
+      POST: async (req, url, signal) => {
+        const params = await readValidateRequest(req, url, maxSize)
+        let modeInfo = null
+        try {
+          modeInfo = getModeByName(params.mode ?? defaultMode)
+        } catch (err) {
+          throw new HTTPError(400, `Invalid mode ${params.mode}, must be normal, forgive-checklist or submission.`)
+        }
+        const report = {
+          path: params.filename,
+          size: params.raw.length,
+          mode: modeInfo.name,
+          result: [],
+          suppressed: []
+        }
+        try {
+          const result = await checkNits(params.raw, params.filename, {
+            mode: modeInfo.mode,
+            // -> Requests can't enable remote checks on an offline server
+            offline: offline || params.offline,
+            timeout,
+            signal
+          })
+          report.result = result
+          report.suppressed = result.suppressed
+          report.document = result.document
+        } catch (err) {
+          if (signal.aborted) {
+            return null
+          }
+          report.error = err
+          return [500, toJSONReport(report, { toolVersion })]
+        }
+        return toJSONReport(report, { toolVersion })
+      }
+    }
+  }
+
+  return http.createServer(async (req, res) => {
+    // -> Cancel the validation when the client goes away before getting the response
+    const controller = new AbortController()
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort()
+      }
+    })
+
+    try {
+      const url = new URL(req.url, 'http://localhost')
+      const route = routes[url.pathname]
+      if (!route) {
+        throw new HTTPError(404, `Unknown endpoint ${url.pathname}.`)
+      }
+      const handler = route[req.method]
+      if (!handler) {
+        res.setHeader('Allow', Object.keys(route).join(', '))
+        throw new HTTPError(405, `Method ${req.method} not allowed on ${url.pathname}.`)
+      }
+      const response = await handler(req, url, controller.signal)
+      if (response === null) {
+        return
+      }
+      const [status, body] = Array.isArray(response) ? response : [200, response]
+      sendJSON(res, status, body)
+    } catch (err) {
+      if (res.headersSent || res.destroyed) {
+        return
+      }
+      // -> Close the connection when the body wasn't read in full, instead of waiting for the rest of it
+      sendJSON(res, err.status ?? 500, { error: err.message }, req.complete ? {} : { Connection: 'close' })
+    }
+  })
+}
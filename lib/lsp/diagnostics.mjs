@@ -0,0 +1,151 @@
+import { createXMLLocator, createXMLMarkupLineResolver } from '../helpers/location.mjs'
+import { getSeverity } from '../helpers/severity.mjs'
+
+// -> LSP DiagnosticSeverity values
+const DIAGNOSTIC_SEVERITIES = {
+  error: 1,
+  warning: 2,
+  comment: 3
+}
+
+/**
+ * Known fixes, by result code. Each returns the offending text to look for on the result line and its replacement,
+ * or null if the result can't be fixed automatically.
+ */
+const QUICK_FIXES = {
+  INCORRECT_KEYWORD_SPELLING: (entry) => {
+    const match = entry.message.match(/^The keyword "(.+)" is misspelled\.$/)
+    // -> Only mixed case combinations (e.g. MUST not) can be fixed, others (e.g. MAY NOT) need rewording
+    return match && match[1] !== match[1].toUpperCase() ? { search: match[1], replace: match[1].toUpperCase() } : null
+  },
+  INCORRECT_TERM_SPELLING: (entry) => {
+    const match = entry.message.match(/^"(.+)" should be spelled as (.+)\.$/)
+    // -> Suggestions can end with a hint, e.g. "email (no hyphen)"
+    const replace = match?.[2].replace(/\s*\(.*\)$/, '')
+    return match && replace !== match[1] ? { search: match[1], replace } : null
+  }
+}
+
+/**
+ * Get the range of a result on a source line. The offending text is highlighted if found on the line,
+ * otherwise the rest of the line from the result column.
+ *
+ * @param {string} lineText Source line
+ * @param {number} lineIdx Line index, starting at 0
+ * @param {number} [pos] Column number, starting at 1
+ * @param {string} [text] Offending text
+ * @returns {Object} LSP Range
+ */
+function getLineRange (lineText, lineIdx, pos, text) {
+  let start = Math.min(Math.max(0, (pos ?? 1) - 1), lineText.length)
+  let end = lineText.length
+  if (text) {
+    // -> Also look one character before, to tolerate 0-based columns from custom validators
+    let textIdx = lineText.indexOf(text, Math.max(0, start - 1))
+    if (textIdx < 0) {
+      textIdx = lineText.indexOf(text)
+    }
+    if (textIdx >= 0) {
+      start = textIdx
+      end = textIdx + text.length
+    }
+  }
+  if (start >= end) {
+    start = 0
+  }
+  return {
+    start: { line: lineIdx, character: start },
+    end: { line: lineIdx, character: end }
+  }
+}
+
+/**
+ * Get the edit inserting a <?idnits ignore CODE?> directive on its own line, before a source line
+ *
+ * @param {string[]} sourceLines Document source lines
+ * @param {number} lineIdx Index of the line the directive applies to, starting at 0
+ * @param {string} code Result code
+ * @param {Function} [resolveMarkupLine] XML only, function resolving a line to the start of its enclosing markup, see createXMLMarkupLineResolver()
+ * @returns {Object} LSP TextEdit
+ */
+function getIgnoreEdit (sourceLines, lineIdx, code, resolveMarkupLine) {
+  // -> In XML, insert before the start of the enclosing element tag (e.g. for attributes of a multi-line start tag), never inside markup
+  const markupIdx = resolveMarkupLine ? resolveMarkupLine(lineIdx + 1) - 1 : lineIdx
+  // -> Never insert before the XML declaration, which must come first
+  const insertIdx = markupIdx === 0 && sourceLines[0]?.startsWith('<?xml') ? 1 : markupIdx
+  const indent = sourceLines[insertIdx]?.match(/^\s*/)[0] ?? ''
+  const position = { line: insertIdx, character: 0 }
+  return {
+    range: { start: position, end: position },
+    newText: `${indent}<?idnits ignore ${code}?>\n`
+  }
+}
+
+/**
+ * Convert results to LSP diagnostics, with one diagnostic per location of each result.
+ * XML results only carrying a path are located from that path. Results without any location are reported on the first line.
+ * The `data` of each diagnostic holds the edits of its code actions: `fix` (when a fix is known) and `ignore` (when a directive can match the result).
+ *
+ * @param {ValidationError[]} result List of errors/warnings/comments
+ * @param {string} source Document contents
+ * @param {string} type Document type (txt or xml)
+ * @returns {Object[]} LSP Diagnostics
+ */
+export function toDiagnostics (result, source, type) {
+  const sourceLines = source.split(/\r?\n/)
+  const locate = type === 'xml' ? createXMLLocator(source) : () => null
+  const resolveMarkupLine = type === 'xml' ? createXMLMarkupLineResolver(source) : null
+  const diagnostics = []
+  for (const entry of result) {
+    const fix = QUICK_FIXES[entry.name]?.(entry) ?? null
+    // -> XML directives only match results by path (or document-wide), results only carrying lines can't be ignored inline
+    const isXMLIgnorable = Boolean(entry.path) || !(entry.lines?.length > 0)
+    const locations = entry.lines?.length > 0 ? entry.lines : [locate(entry.path) ?? (type === 'xml' ? locate('rfc') : null)]
+    for (const location of locations) {
+      const lineIdx = location ? Math.min(Math.max(0, location.line - 1), sourceLines.length - 1) : 0
+      const lineText = sourceLines[lineIdx]
+      const range = location ? getLineRange(lineText, lineIdx, location.pos, fix?.search ?? entry.text) : getLineRange(lineText, 0)
+      const fixable = fix && lineText.slice(range.start.character, range.end.character) === fix.search
+      diagnostics.push({
+        range,
+        severity: DIAGNOSTIC_SEVERITIES[getSeverity(entry)],
+        code: entry.name,
+        ...entry.refUrl && { codeDescription: { href: entry.refUrl } },
+        source: 'idnits',
+        message: entry.text ? `${entry.message} (${entry.text})` : entry.message,
+        data: {
+          ...fixable && { fix: { title: `Replace with "${fix.replace}"`, edit: { range, newText: fix.replace } } },
+          // -> TXT directives only cover lines, so results without lines can't be ignored inline
+          ...(type === 'xml' ? isXMLIgnorable : location) && { ignore: { title: `Ignore ${entry.name} here`, edit: getIgnoreEdit(sourceLines, lineIdx, entry.name, resolveMarkupLine) } }
+        }
+      })
+    }
+  }
+  return diagnostics
+}
+
+/**
+ * Get the code actions of diagnostics, from the edits held in their `data`
+ *
+ * @param {string} uri Document URI
+ * @param {Object[]} diagnostics LSP Diagnostics, as returned by toDiagnostics()
+ * @returns {Object[]} LSP CodeActions
+ */
+export function getCodeActions (uri, diagnostics) {
+  const actions = []
+  for (const diagnostic of diagnostics) {
+    if (diagnostic.source !== 'idnits') {
+      continue
+    }
+    for (const [kind, action] of Object.entries(diagnostic.data ?? {})) {
+      actions.push({
+        title: action.title,
+        kind: 'quickfix',
+        diagnostics: [diagnostic],
+        ...kind === 'fix' && { isPreferred: true },
+        edit: { changes: { [uri]: [action.edit] } }
+      })
+    }
+  }
+  return actions
+}
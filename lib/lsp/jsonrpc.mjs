@@ -0,0 +1,85 @@
+const HEADER_SEPARATOR = '\r\n\r\n'
+const CONTENT_LENGTH_RE = /^content-length:\s*(\d+)\s*$/im
+
+/**
+ * JSON-RPC error codes
+ */
+export const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // -> LSP specific
+  SERVER_NOT_INITIALIZED: -32002
+}
+
+/**
+ * JSON-RPC Response Error
+ */
+export class ResponseError extends Error {
+  /**
+   * Create new ResponseError
+   *
+   * @param {number} code JSON-RPC error code, see ERROR_CODES
+   * @param {string} message Description of the error
+   */
+  constructor (code, message) {
+    super(message)
+    this.code = code
+  }
+}
+
+/**
+ * Read JSON-RPC messages from a stream, framed with a Content-Length header (as used by LSP)
+ *
+ * @param {Readable} input Input stream
+ * @param {Object} handlers Handlers
+ * @param {Function} handlers.onMessage Function called with each parsed message
+ * @param {Function} handlers.onError Function called with the error of each message that isn't valid JSON
+ */
+export function readMessages (input, { onMessage, onError }) {
+  let buffer = Buffer.alloc(0)
+  input.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk])
+    while (true) {
+      const headerEnd = buffer.indexOf(HEADER_SEPARATOR)
+      if (headerEnd < 0) {
+        return
+      }
+      const lengthMatch = buffer.subarray(0, headerEnd).toString('ascii').match(CONTENT_LENGTH_RE)
+      const bodyStart = headerEnd + HEADER_SEPARATOR.length
+      // -> Skip headers without a content length, as the message boundary can't be known
+      if (!lengthMatch) {
+        buffer = buffer.subarray(bodyStart)
+        continue
+      }
+      const bodyEnd = bodyStart + parseInt(lengthMatch[1])
+      if (buffer.length < bodyEnd) {
+        return
+      }
+      const body = buffer.subarray(bodyStart, bodyEnd).toString('utf8')
+      buffer = buffer.subarray(bodyEnd)
+
+      let message = null
+      try {
+        message = JSON.parse(body)
+      } catch (err) {
+        onError(err)
+        continue
+      }
+      onMessage(message)
+    }
+  })
+}
+
+/**
+ * Write a JSON-RPC message to a stream, framed with a Content-Length header
+ *
+ * @param {Writable} output Output stream
+ * @param {Object} message Message, without the jsonrpc version
+ */
+export function writeMessage (output, message) {
+  const body = JSON.stringify({ jsonrpc: '2.0', ...message })
+  output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}${HEADER_SEPARATOR}${body}`)
+}
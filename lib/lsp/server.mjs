@@ -0,0 +1,267 @@
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { checkNits } from '../index.mjs'
+import { getModeByName } from '../config/modes.mjs'
+import { loadProjectConfig } from '../config/project.mjs'
+import { setRemoteCache } from '../helpers/remote.mjs'
+import { getCodeActions, toDiagnostics } from './diagnostics.mjs'
+import { ERROR_CODES, readMessages, ResponseError, writeMessage } from './jsonrpc.mjs'
+
+// -> LSP TextDocumentSyncKind.Full, documents are validated as a whole
+const TEXT_DOCUMENT_SYNC_FULL = 1
+
+// -> LSP MessageType values
+const MESSAGE_TYPES = {
+  error: 1,
+  warning: 2,
+  info: 3
+}
+
+/**
+ * @typedef {Object} LanguageServerSettings
+ * @property {string} [mode] Validation mode name. Defaults to the project config mode, or normal.
+ * @property {boolean} [offline] Disable validations that require an internet connection
+ * @property {number} [timeout] Time limit of each validator in milliseconds (0 to disable)
+ */
+
+/**
+ * Get the filename of a document from its URI, falling back to its language for the extension
+ *
+ * @param {string} uri Document URI
+ * @param {string} [languageId] Document language
+ * @returns {string} Filename
+ */
+function getFilename (uri, languageId) {
+  const filename = decodeURIComponent(new URL(uri).pathname.split('/').pop() || 'untitled')
+  if (/\.(txt|xml)$/i.test(filename)) {
+    return filename
+  }
+  return `${filename}.${languageId === 'xml' ? 'xml' : 'txt'}`
+}
+
+/**
+ * Start a Language Server Protocol server, publishing the nits of open documents as diagnostics.
+ * Documents are validated when opened, saved, and shortly after each change.
+ *
+ * @param {Object} [opts] Options
+ * @param {Readable} [opts.input] Stream to read client messages from
+ * @param {Writable} [opts.output] Stream to write server messages to
+ * @param {string} [opts.toolVersion] Version of idnits
+ * @param {LanguageServerSettings} [opts.settings] Default settings, overridden by the client initialization options / configuration
+ * @param {number} [opts.debounce] Delay in milliseconds between the last change of a document and its validation
+ * @returns {Promise<number>} Exit code, once the client sent the exit notification or closed the input
+ */
+export function startLanguageServer ({
+  input = process.stdin,
+  output = process.stdout,
+  toolVersion,
+  settings: defaultSettings = {},
+  debounce = 300
+} = {}) {
+  let settings = { ...defaultSettings }
+  let isInitialized = false
+  let isShutdown = false
+  const documents = new Map()
+
+  // Remote lookups are cached for the server lifetime, as documents are validated on every change
+  setRemoteCache(true)
+
+  function notify (method, params) {
+    writeMessage(output, { method, params })
+  }
+
+  function log (type, message) {
+    notify('window/logMessage', { type: MESSAGE_TYPES[type], message })
+  }
+
+  /**
+   * Validate an open document and publish its diagnostics. Any validation still running for the document is cancelled.
+   *
+   * @param {string} uri Document URI
+   */
+  async function validate (uri) {
+    const doc = documents.get(uri)
+    if (!doc) {
+      return
+    }
+    clearTimeout(doc.timer)
+    doc.controller?.abort()
+    const controller = new AbortController()
+    doc.controller = controller
+    const { text, version } = doc
+
+    try {
+      let projectConfig = null
+      if (uri.startsWith('file:')) {
+        try {
+          projectConfig = await loadProjectConfig(path.dirname(fileURLToPath(uri)))
+        } catch (err) {
+          log('warning', `Failed to load config: ${err.message}`)
+        }
+      }
+      const filename = getFilename(uri, doc.languageId)
+      const result = await checkNits(Buffer.from(text, 'utf8'), filename, {
+        mode: getModeByName(settings.mode ?? projectConfig?.modeName ?? 'normal').mode,
+        offline: Boolean(settings.offline),
+        timeout: settings.timeout ?? 0,
+        ...projectConfig?.allowedDomains && { allowedDomains: projectConfig.allowedDomains },
+        rules: projectConfig?.rules,
+        signal: controller.signal
+      })
+      // -> Skip outdated results, the document changed or was closed in the meantime
+      if (controller.signal.aborted || documents.get(uri) !== doc || doc.version !== version) {
+        return
+      }
+      notify('textDocument/publishDiagnostics', {
+        uri,
+        version,
+        diagnostics: toDiagnostics(result, text, filename.toLowerCase().endsWith('.xml') ? 'xml' : 'txt')
+      })
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        log('error', `Validation of ${uri} failed: ${err.message}`)
+      }
+    }
+  }
+
+  /**
+   * Schedule the validation of a document, once it stops changing
+   *
+   * @param {string} uri Document URI
+   */
+  function scheduleValidation (uri) {
+    const doc = documents.get(uri)
+    clearTimeout(doc.timer)
+    doc.timer = setTimeout(() => validate(uri), debounce)
+  }
+
+  /**
+   * Forget all open documents, cancelling their pending validations
+   */
+  function closeDocuments () {
+    for (const doc of documents.values()) {
+      clearTimeout(doc.timer)
+      doc.controller?.abort()
+    }
+    documents.clear()
+  }
+
+  const requestHandlers = {
+    initialize: (params) => {
+      settings = { ...settings, ...params?.initializationOptions }
+      isInitialized = true
+      return {
+        capabilities: {
+          textDocumentSync: {
+            openClose: true,
+            change: TEXT_DOCUMENT_SYNC_FULL,
+            save: { includeText: false }
+          },
+          codeActionProvider: {
+            codeActionKinds: ['quickfix']
+          }
+        },
+        serverInfo: {
+          name: 'idnits',
+          ...toolVersion && { version: toolVersion }
+        }
+      }
+    },
+    shutdown: () => {
+      isShutdown = true
+      closeDocuments()
+      return null
+    },
+    'textDocument/codeAction': (params) => {
+      return getCodeActions(params.textDocument.uri, params.context?.diagnostics ?? [])
+    }
+  }
+
+  const notificationHandlers = {
+    'textDocument/didOpen': ({ textDocument }) => {
+      documents.set(textDocument.uri, {
+        text: textDocument.text,
+        version: textDocument.version,
+        languageId: textDocument.languageId
+      })
+      validate(textDocument.uri)
+    },
+    'textDocument/didChange': ({ textDocument, contentChanges }) => {
+      const doc = documents.get(textDocument.uri)
+      if (!doc || !contentChanges?.length) {
+        return
+      }
+      // -> Full sync, the last change holds the whole document
+      doc.text = contentChanges.at(-1).text
+      doc.version = textDocument.version
+      scheduleValidation(textDocument.uri)
+    },
+    'textDocument/didSave': ({ textDocument }) => {
+      if (documents.has(textDocument.uri)) {
+        validate(textDocument.uri)
+      }
+    },
+    'textDocument/didClose': ({ textDocument }) => {
+      const doc = documents.get(textDocument.uri)
+      if (doc) {
+        clearTimeout(doc.timer)
+        doc.controller?.abort()
+        documents.delete(textDocument.uri)
+      }
+      notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] })
+    },
+    'workspace/didChangeConfiguration': ({ settings: clientSettings }) => {
+      settings = { ...settings, ...clientSettings?.idnits }
+      for (const uri of documents.keys()) {
+        validate(uri)
+      }
+    }
+  }
+
+  return new Promise(resolve => {
+    function exit () {
+      closeDocuments()
+      resolve(isShutdown ? 0 : 1)
+    }
+
+    /**
+     * Handle a request, writing its result or error as a response
+     *
+     * @param {Object} message Request message
+     */
+    async function handleRequest ({ id, method, params }) {
+      try {
+        if (!isInitialized && method !== 'initialize') {
+          throw new ResponseError(ERROR_CODES.SERVER_NOT_INITIALIZED, 'Server not initialized.')
+        }
+        if (isShutdown) {
+          throw new ResponseError(ERROR_CODES.INVALID_REQUEST, 'Server is shut down.')
+        }
+        const handler = requestHandlers[method]
+        if (!handler) {
+          throw new ResponseError(ERROR_CODES.METHOD_NOT_FOUND, `Unhandled method ${method}.`)
+        }
+        writeMessage(output, { id, result: await handler(params) })
+      } catch (err) {
+        writeMessage(output, { id, error: { code: err.code ?? ERROR_CODES.INTERNAL_ERROR, message: err.message } })
+      }
+    }
+
+    readMessages(input, {
+      onMessage: (message) => {
+        if (message.method === 'exit') {
+          exit()
+        } else if (message.id !== undefined && message.method) {
+          handleRequest(message)
+        } else if (message.method && isInitialized && !isShutdown) {
+          // -> Unknown notifications, including $/ protocol ones, are ignored
+          notificationHandlers[message.method]?.(message.params ?? {})
+        }
+      },
+      onError: (err) => {
+        writeMessage(output, { id: null, error: { code: ERROR_CODES.PARSE_ERROR, message: err.message } })
+      }
+    })
+    input.on('end', exit)
+  })
+}
@@ -12,9 +12,10 @@ import { getStatusCategory } from '../config/rfc-status-hierarchy.mjs'
  * @param {Object} [opts] - Additional options
  * @param {number} [opts.mode=0] - Validation mode to use
  * @param {boolean} [opts.offline=false] - Skip fetching remote data if true
+ * @param {AbortSignal} [opts.signal] - Signal to cancel remote requests
  * @returns {Array} - List of errors/warnings/comments
  */
-export async function validateDownrefs (doc, { mode = MODES.NORMAL } = {}) {
+export async function validateDownrefs (doc, { mode = MODES.NORMAL, signal } = {}) {
   const result = []
 
   if (mode === MODES.SUBMISSION) {
@@ -27,20 +28,13 @@ export async function validateDownrefs (doc, { mode = MODES.NORMAL } = {}) {
       const statusWeight = getStatusCategory(doc.data.header.intendedStatus ?? doc.data.header.category)
       const rfcs = referenceSectionRfc.filter((extracted) => extracted.subsection === 'normative_references').map((extracted) => extracted.value).map((rfcNumber) => `RFC ${rfcNumber}`)
       const drafts = normalizeDraftReferences(referenceSectionDraftReferences.filter((extracted) => extracted.subsection === 'normative_references').map((extracted) => extracted.value))
-      for (const ref of [...rfcs, ...drafts]) {
-        let refStatus = null
-
-        if (ref.startsWith('RFC')) {
-          const rfcNumber = ref.split(' ')[1]
-          const rfcInfo = await fetchRemoteRfcInfo(rfcNumber)
-          refStatus = getStatusCategory(rfcInfo?.status)
-        } else {
-          const draftInfo = await fetchRemoteDocInfoJson(ref)
-          refStatus = getStatusCategory(draftInfo?.intended_std_level || draftInfo?.std_level)
-        }
+      const refs = [...rfcs, ...drafts]
+      const refStatuses = await Promise.all(refs.map(ref => fetchReferenceStatus(ref, { signal })))
+      for (const [refIdx, ref] of refs.entries()) {
+        const refStatus = refStatuses[refIdx]
 
         if (refStatus !== null && refStatus < statusWeight) {
-          const isDownref = await checkReferencesInDownrefs([ref])
+          const isDownref = await checkReferencesInDownrefs([ref], { signal })
           if (isDownref.length > 0) {
             switch (mode) {
               case MODES.NORMAL:
@@ -86,20 +80,12 @@ export async function validateDownrefs (doc, { mode = MODES.NORMAL } = {}) {
 
       const docStatus = getStatusCategory(doc.data.rfc._attr.category ?? doc.data.rfc._attr.status)
 
-      for (const ref of normilizedReferences) {
-        let refStatus = null
-
-        if (/^RFC\s*\d+$/i.test(ref)) {
-          const rfcNumber = ref.match(/\d+/)[0]
-          const rfcInfo = await fetchRemoteRfcInfo(rfcNumber)
-          refStatus = getStatusCategory(rfcInfo?.status)
-        } else if (/draft/i.test(ref)) {
-          const draftInfo = await fetchRemoteDocInfoJson(ref)
-          refStatus = getStatusCategory(draftInfo?.intended_std_level || draftInfo?.std_level)
-        }
+      const refStatuses = await Promise.all(normilizedReferences.map(ref => fetchReferenceStatus(ref, { signal })))
+      for (const [refIdx, ref] of normilizedReferences.entries()) {
+        const refStatus = refStatuses[refIdx]
 
         if (refStatus !== null && refStatus < docStatus) {
-          const isDownref = await checkReferencesInDownrefs([ref])
+          const isDownref = await checkReferencesInDownrefs([ref], { signal })
           if (isDownref.length > 0) {
             switch (mode) {
               case MODES.NORMAL:
@@ -152,6 +138,27 @@ export async function validateDownrefs (doc, { mode = MODES.NORMAL } = {}) {
   return result
 }
 
+/**
+ * Fetch the status category of a referenced RFC or draft.
+ * Lookups of all references are started at once, outbound requests being bounded by remoteFetch().
+ *
+ * @param {string} ref - Normalized reference (e.g. "RFC 1234" or a draft name).
+ * @param {Object} [opts] - Additional options
+ * @param {AbortSignal} [opts.signal] - Signal to cancel remote requests
+ * @returns {Promise<number|null>} - Status category or null if unknown.
+ */
+async function fetchReferenceStatus (ref, { signal } = {}) {
+  if (/^RFC\s*\d+$/i.test(ref)) {
+    const rfcNumber = ref.match(/\d+/)[0]
+    const rfcInfo = await fetchRemoteRfcInfo(rfcNumber, { signal })
+    return getStatusCategory(rfcInfo?.status)
+  } else if (/draft/i.test(ref)) {
+    const draftInfo = await fetchRemoteDocInfoJson(ref, { signal })
+    return getStatusCategory(draftInfo?.intended_std_level || draftInfo?.std_level)
+  }
+  return null
+}
+
 /**
  * Normalize references by removing brackets, versions, and checking for drafts.
  *
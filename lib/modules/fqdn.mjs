@@ -21,9 +21,11 @@ const isReservedDomain = (domain) => {
  * @param {Object} doc Document to validate
  * @param {Object} [opts] Additional options
  * @param {number} [opts.mode=0] Validation mode to use
+ * @param {boolean} [opts.offline=false] Disable checks that require an internet connection
+ * @param {AbortSignal} [opts.signal] Signal to cancel remote requests
  * @returns {Array} List of errors/warnings/comments or empty if fully valid
  */
-export async function validateFQDNs (doc, { mode = MODES.NORMAL, offline = false } = {}) {
+export async function validateFQDNs (doc, { mode = MODES.NORMAL, offline = false, signal } = {}) {
   const result = []
 
   if (mode === MODES.SUBMISSION) {
@@ -43,12 +45,12 @@ export async function validateFQDNs (doc, { mode = MODES.NORMAL, offline = false
           continue
         }
 
-        if (!offline && !(await isValidDomainTLD(domain))) {
+        if (!offline && !(await isValidDomainTLD(domain, { signal }))) {
           result.push(new ValidationWarning('INVALID_DOMAIN_TLD', `Domain "${domain}" has an invalid TLD.`, {
             ref: 'https://www.iana.org/domains/root/db',
             domain
           }))
-        } else if (!offline && domain.endsWith('.arpa') && !(await isValidArpaDomain(domain))) {
+        } else if (!offline && domain.endsWith('.arpa') && !(await isValidArpaDomain(domain, { signal }))) {
           result.push(new ValidationWarning('INVALID_ARPA_DOMAIN', `ARPA domain "${domain}" usage is invalid.`, {
             ref: 'https://www.iana.org/domains/arpa',
             domain
@@ -66,13 +68,13 @@ export async function validateFQDNs (doc, { mode = MODES.NORMAL, offline = false
               // -> Ignore matches are purely numbers
               continue
             }
-            if (!offline && !(await isValidDomainTLD(match.groups.domain))) {
+            if (!offline && !(await isValidDomainTLD(match.groups.domain, { signal }))) {
               result.push(new ValidationWarning('INVALID_DOMAIN_TLD', 'Domain has an invalid TLD.', {
                 ref: 'https://www.iana.org/domains/root/db',
                 path: p.join('.'),
                 text: match.groups.domain
               }))
-            } else if (!offline && match.groups.domain.endsWith('.arpa') && !(await isValidArpaDomain(match.groups.domain))) {
+            } else if (!offline && match.groups.domain.endsWith('.arpa') && !(await isValidArpaDomain(match.groups.domain, { signal }))) {
               result.push(new ValidationWarning('INVALID_ARPA_DOMAIN', 'ARPA domain usage is invalid.', {
                 ref: 'https://www.iana.org/domains/arpa',
                 path: p.join('.'),
@@ -210,7 +210,7 @@ export async function validateTermsStyle (doc, { mode = MODES.NORMAL } = {}) {
               ref: 'https://www.rfc-editor.org/materials/terms-online.txt',
               lines: [{
                 line: lineIdx,
-                pos: match.index
+                pos: match.index + 1
               }]
             }))
           }
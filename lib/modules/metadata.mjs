@@ -104,9 +104,10 @@ export async function validateCategory (doc, { mode = MODES.NORMAL } = {}) {
  * @param {Object} [opts] Additional options
  * @param {number} [opts.mode=0] Validation mode to use
  * @param {boolean} [opts.offline=false] Disable checks that require an internet connection
+ * @param {AbortSignal} [opts.signal] Signal to cancel remote requests
  * @returns {Array} List of errors/warnings/comments or empty if fully valid
  */
-export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, offline = false } = {}) {
+export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, offline = false, signal } = {}) {
   const result = []
 
   if (mode === MODES.SUBMISSION) {
@@ -251,7 +252,7 @@ export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, off
         if (mode !== MODES.SUBMISSION && obsoletesRef.length > 0) {
           for (const ref of obsoletesRef) {
             if (RFC_NUM_RE.test(ref)) {
-              const rfcInfo = await fetchRemoteRfcInfo(ref)
+              const rfcInfo = await fetchRemoteRfcInfo(ref, { signal })
               if (!rfcInfo) {
                 result.push(new ValidationWarning('OBSOLETES_RFC_NOT_FOUND', `The <rfc> field states that it obsoletes RFC ${ref} but no matching RFC could be found on rfc-editor.org.`, {
                   ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#obsoletes',
@@ -271,7 +272,7 @@ export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, off
         if (mode !== MODES.SUBMISSION && updatesRef.length > 0) {
           for (const ref of updatesRef) {
             if (RFC_NUM_RE.test(ref)) {
-              const rfcInfo = await fetchRemoteRfcInfo(ref)
+              const rfcInfo = await fetchRemoteRfcInfo(ref, { signal })
               if (!rfcInfo) {
                 result.push(new ValidationWarning('UPDATES_RFC_NOT_FOUND', `The <rfc> field states that it updates RFC ${ref} but no matching RFC could be found on rfc-editor.org.`, {
                   ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#updates',
@@ -306,9 +307,10 @@ export async function validateObsoleteUpdateRef (doc, { mode = MODES.NORMAL, off
  * @param {Object} [opts] Additional options
  * @param {number} [opts.mode=0] Validation mode to use
  * @param {boolean} [opts.offline=false] Disable checks that require an internet connection
+ * @param {AbortSignal} [opts.signal] Signal to cancel remote requests
  * @returns {Array} List of errors/warnings/comments or empty if fully valid
  */
-export async function validateVersion (doc, { mode = MODES.NORMAL, offline = false } = {}) {
+export async function validateVersion (doc, { mode = MODES.NORMAL, offline = false, signal } = {}) {
   const result = []
 
   if (offline) {
@@ -324,7 +326,7 @@ export async function validateVersion (doc, { mode = MODES.NORMAL, offline = fal
       const docName = get(doc, 'data.rfc._attr.docName')
       const versionMatch = docName.match(VERSION_SUFFIX_RE)
       if (versionMatch?.[1]) {
-        const docInfo = await fetchRemoteDocInfo(docName)
+        const docInfo = await fetchRemoteDocInfo(docName, { signal })
         if (docInfo && docInfo.rev) {
           const latestVersion = parseInt(docInfo.rev)
           const docVersion = parseInt(versionMatch[1])
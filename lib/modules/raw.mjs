@@ -5,6 +5,27 @@ import { ValidationComment, ValidationError, ValidationWarning } from '../helper
 import { MODES } from '../config/modes.mjs'
 
 const INVALID_CTRL_CHARS_RE = /[\x01-\x09\x0b\x0e-\x1f]+/g
+// -> Number of bytes converted at once, as String.fromCharCode() takes one argument per byte
+const BINARY_CHUNK_SIZE = 8192
+
+/**
+ * Convert bytes to a binary string (one character per byte), as expected by the encoding detection.
+ * Only Node.js Buffers are converted by jschardet itself, this also covers Uint8Array / ArrayBuffer in other runtimes.
+ *
+ * @param {Uint8Array|ArrayBuffer|string} raw Bytes to convert. Strings are returned as-is.
+ * @returns {string} Binary string
+ */
+function toBinaryString (raw) {
+  if (typeof raw === 'string') {
+    return raw
+  }
+  const bytes = raw instanceof Uint8Array ? raw : new Uint8Array(raw)
+  let binary = ''
+  for (let idx = 0; idx < bytes.length; idx += BINARY_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(idx, idx + BINARY_CHUNK_SIZE))
+  }
+  return binary
+}
 
 /**
  * Validate string data for invalid ctrl code / chars sequences
@@ -24,7 +45,7 @@ export async function validateContent (data, { mode = MODES.NORMAL } = {}) {
     for (const ctrlMatch of line.matchAll(INVALID_CTRL_CHARS_RE)) {
       invalidCtrlCharLines.push({
         line: lineIdx,
-        pos: ctrlMatch.index
+        pos: ctrlMatch.index + 1
       })
     }
 
@@ -45,7 +66,7 @@ export async function validateContent (data, { mode = MODES.NORMAL } = {}) {
 /**
  * Validate if a buffer is of encoding UTF-8
  *
- * @param {Buffer|ArrayBuffer|string} raw Buffer to check for UTF8 encoding
+ * @param {Uint8Array|ArrayBuffer|string} raw Buffer to check for UTF8 encoding
  * @param {Object} [opts] Additional options
  * @param {number} [opts.mode=0] Validation mode to use
  * @returns {Array} List of errors/warnings/comments or empty if fully valid
@@ -53,7 +74,7 @@ export async function validateContent (data, { mode = MODES.NORMAL } = {}) {
 export async function validateEncoding (raw, { mode = MODES.NORMAL } = {}) {
   const result = []
 
-  const detected = detect(raw)
+  const detected = detect(toBinaryString(raw))
   if (detected.encoding === 'ascii') {
     // valid
   } else if (detected.encoding === 'UTF-8') {
@@ -74,7 +95,7 @@ export async function validateEncoding (raw, { mode = MODES.NORMAL } = {}) {
 /**
  * Decode a buffer to an UTF8 string
  *
- * @param {Buffer|ArrayBuffer} raw Buffer to decode
+ * @param {Uint8Array|ArrayBuffer} raw Buffer to decode
  * @returns {string} Decoded string
  */
 export async function decodeBufferToUTF8 (raw) {
@@ -82,12 +82,12 @@ export async function validateCodeBlocks (doc, { mode = MODES.NORMAL } = {}) {
       if (k === 'sourcecode') {
         result.push(new ValidationWarning('UNNECESSARY_CODE_BEGINS', 'The text inside a <sourcecode> tag contains the string <CODE BEGINS>. This is unnecessary and may duplicate what a presentation format converter will produce.', {
           ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#sourcecode',
-          path: `rfc.${[...p, k].join('.')}`
+          path: [...p, k].filter(Boolean).join('.')
         }))
       } else {
         result.push(new ValidationWarning('MISSING_SOURCECODE_TAG', 'Consider using the <sourcecode> tag instead of <CODE BEGINS> for code blocks.', {
           ref: 'https://authors.ietf.org/en/rfcxml-vocabulary#sourcecode',
-          path: `rfc.${[...p, k].join('.')}`
+          path: [...p, k].filter(Boolean).join('.')
         }))
       }
     }
@@ -111,11 +111,12 @@ export async function validateTextLikeRefs (doc, { mode = MODES.NORMAL } = {}) {
     return result
   }
 
+  // -> Strings in arrays are visited without key (e.g. rfc.middle.t[1])
   await traverseAll(doc.data, (v, k, p) => {
     if (typeof v === 'string' && v.match(TEXT_REFS_RE)) {
       result.push(new ValidationWarning('TEXT_DOC_REF', 'Text occurs that looks like a text-document reference (e.g. [1] or [RFC...]). A reference should instead use an <eref> tag.', {
         ref: 'https://authors.ietf.org/en/references-in-rfcxml',
-        path: `rfc.${[...p, k].join('.')}`
+        path: [...p, k].filter(Boolean).join('.')
       }))
     }
   })
@@ -129,9 +130,11 @@ export async function validateTextLikeRefs (doc, { mode = MODES.NORMAL } = {}) {
  * @param {Object} doc Document to validate
  * @param {Object} [opts] Additional options
  * @param {number} [opts.mode=0] Validation mode to use
+ * @param {boolean} [opts.offline=false] Disable checks that require an internet connection
+ * @param {AbortSignal} [opts.signal] Signal to cancel remote requests
  * @returns {Array} List of errors/warnings/comments or empty if fully valid
  */
-export async function validateSubmissionType (doc, { mode = MODES.NORMAL, offline = false } = {}) {
+export async function validateSubmissionType (doc, { mode = MODES.NORMAL, offline = false, signal } = {}) {
   const result = []
 
   const submissionType = get(doc, 'data.rfc._attr.submissionType')?.toLowerCase()
@@ -152,7 +155,7 @@ export async function validateSubmissionType (doc, { mode = MODES.NORMAL, offlin
     }))
   // -> Check for existing doc stream mismatch
   } else if (!offline && docName) {
-    const docInfo = await fetchRemoteDocInfo(docName)
+    const docInfo = await fetchRemoteDocInfo(docName, { signal })
 
     // -> Existing version on Datatracker
     if (docInfo) {
@@ -3,6 +3,7 @@ import { DateTime } from 'luxon'
 import { FQDN_RE } from '../modules/fqdn.mjs'
 import { IPV4_LOOSE_RE, IPV6_LOOSE_RE } from '../modules/ip.mjs'
 import { rfcStatusHierarchy } from '../config/rfc-status-hierarchy.mjs'
+import { SUPPRESSION_DIRECTIVE_RE, splitSuppressionCodes } from '../helpers/suppression.mjs'
 
 // Regex patterns
 const LINE_VALUES_EXTRACT_RE = /^(?<left>.*)\s{2,}(?<right>.*)$/
@@ -97,6 +98,7 @@ const UPDATES_RE = /updates\s*:\s*((?:rfc\s*)?[0-9]+(?:,|\s|and)*\s*)+/gi
  * @property {Object} data Parsed TXT tree
  * @property {string} docKind Whether the document is an Internet Draft (draft) or an RFC (rfc)
  * @property {string} filename Filename of the document
+ * @property {Object[]} suppressions Array of <?idnits ignore CODE?> directives, covering their own line and the next one
  * @property {string} type Document file type (txt)
  * @property {number} version Document version number (2 or 3)
  * @property {string} versionCertainty Whether the version was explicity specified (strict) or guessed (guess)
@@ -156,6 +158,7 @@ export async function parse (rawText, filename) {
       rfc8174: false
     }
   }
+  const suppressions = []
   let docKind = null
   let lineIdx = 0
   let currentSection = null
@@ -202,6 +205,15 @@ export async function parse (rawText, filename) {
       const trimmedLine = line.trim()
       lineIdx++
 
+      // Suppression directives
+      // --------------------------------------------------------------
+      for (const match of line.matchAll(SUPPRESSION_DIRECTIVE_RE)) {
+        suppressions.push({
+          codes: splitSuppressionCodes(match.groups.codes),
+          lines: [lineIdx, lineIdx + 1]
+        })
+      }
+
       // Page Break
       // --------------------------------------------------------------
       if (line.indexOf('\f') >= 0) {
@@ -498,13 +510,12 @@ export async function parse (rawText, filename) {
     throw new ValidationError('TXT_PARSING_FAILED', `Error while parsing Line ${lineIdx}: ${err.message}`)
   }
 
-  console.info(data.header.authors)
-
   return {
     docKind,
     body: rawText,
     data,
     filename,
+    suppressions,
     type: 'txt'
   }
 }
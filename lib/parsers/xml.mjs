@@ -1,6 +1,7 @@
 import { ValidationError } from '../helpers/error.mjs'
 import { XMLParser } from 'fast-xml-parser'
 import { get, toSafeInteger } from 'lodash-es'
+import { extractXMLSuppressions } from '../helpers/suppression.mjs'
 
 const externalEntityRgx = /<!ENTITY\s+([a-zA-Z0-9-._]+)\s+(SYSTEM|PUBLIC)\s+"(.*)">/g
 
@@ -11,11 +12,27 @@ const externalEntityRgx = /<!ENTITY\s+([a-zA-Z0-9-._]+)\s+(SYSTEM|PUBLIC)\s+"(.*
  * @property {string} docKindCertainty Whether the document kind was explicity specified (strict) or guessed (guess)
  * @property {Object[]} externalEntities Array of external entities
  * @property {string} filename Filename of the document
+ * @property {Object[]} suppressions Array of <?idnits ignore CODE?> directives, scoped to their enclosing element
  * @property {string} type Document file type (xml)
  * @property {number} version Document version number (2 or 3)
  * @property {string} versionCertainty Whether the version was explicity specified (strict) or guessed (guess)
  */
 
+/**
+ * Extract external entity declarations, which are not supported by fxp
+ *
+ * @param {string} rawText Input text
+ * @returns {Object[]} Array of external entities
+ */
+export function extractExternalEntities (rawText) {
+  return Array.from(rawText.matchAll(externalEntityRgx), ([match, name, type, url]) => ({
+    original: match,
+    name,
+    type,
+    url
+  }))
+}
+
 /**
  * Parse XML document
  *
@@ -32,16 +49,8 @@ export async function parse (rawText, filename) {
   })
 
   // extract remote external entities before parsing, as this is not supported by fxp
-  const externalEntities = []
-  const cleanRawText = rawText.replaceAll(externalEntityRgx, (match, name, type, url) => {
-    externalEntities.push({
-      original: match,
-      name,
-      type,
-      url
-    })
-    return ''
-  })
+  const externalEntities = extractExternalEntities(rawText)
+  const cleanRawText = rawText.replaceAll(externalEntityRgx, '')
 
   // parse XML document
   let data
@@ -104,6 +113,7 @@ export async function parse (rawText, filename) {
     docKindCertainty,
     externalEntities,
     filename,
+    suppressions: extractXMLSuppressions(data),
     type: 'xml',
     version,
     versionCertainty
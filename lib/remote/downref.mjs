@@ -1,19 +1,23 @@
+import { fetchRemoteCached, REMOTE_CACHE_TTLS } from '../helpers/remote.mjs'
+
 const DOWNREF_REGISTRY_URL = 'https://datatracker.ietf.org/doc/downref/'
+// Parsed registry and its expiration time
 let cachedDownrefRegistry = null
 
 /**
  * Fetch and parse the Downref Registry HTML to extract references.
- * Caches the result to avoid redundant network requests.
+ * Caches the result for its REMOTE_CACHE_TTLS duration to avoid redundant network requests.
+ * @param {Object} [opts] - Additional options
+ * @param {AbortSignal} [opts.signal] - Signal to cancel the request
  * @returns {Promise<Set<string>>} - A set of references from the Downref Registry.
  */
-async function fetchDownrefRegistry () {
-  if (cachedDownrefRegistry) {
-    return cachedDownrefRegistry
+async function fetchDownrefRegistry ({ signal } = {}) {
+  if (cachedDownrefRegistry?.expiresAt > Date.now()) {
+    return cachedDownrefRegistry.references
   }
 
   try {
-    const response = await fetch(DOWNREF_REGISTRY_URL, { credentials: 'omit' })
-    const html = await response.text()
+    const { body: html } = await fetchRemoteCached(DOWNREF_REGISTRY_URL, { source: 'downref-registry', signal })
     const rfcRegex = /<a href="\/doc\/rfc(\d+)\/">([^<]+)<\/a>/g
     const referenceRegex = /<a href="\/doc\/(?:rfc|draft-[^/]+)\/">([^<]+)<\/a>/g
     const references = new Set()
@@ -27,7 +31,7 @@ async function fetchDownrefRegistry () {
       references.add(match[1].trim())
     }
 
-    cachedDownrefRegistry = references
+    cachedDownrefRegistry = { references, expiresAt: Date.now() + REMOTE_CACHE_TTLS['downref-registry'] }
     return references
   } catch (err) {
     throw new Error(`Failed to fetch Downref Registry: ${err.message}`)
@@ -37,10 +41,12 @@ async function fetchDownrefRegistry () {
 /**
  * Validate references against the Downref Registry.
  * @param {string[]} references - List of references to validate.
+ * @param {Object} [opts] - Additional options
+ * @param {AbortSignal} [opts.signal] - Signal to cancel the request
  * @returns {Promise<string[]>} - A list of references found in the Downref Registry.
  */
-export async function checkReferencesInDownrefs (references) {
-  const downrefRegistry = await fetchDownrefRegistry()
+export async function checkReferencesInDownrefs (references, { signal } = {}) {
+  const downrefRegistry = await fetchDownrefRegistry({ signal })
 
   const foundDownrefs = []
 
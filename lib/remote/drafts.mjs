@@ -0,0 +1,84 @@
+import { remoteFetch } from '../helpers/remote.mjs'
+
+export const DATATRACKER_URL_DEFAULT = 'https://datatracker.ietf.org'
+export const ARCHIVE_URL_DEFAULT = 'https://www.ietf.org/archive/id'
+
+const DRAFT_NAME_RE = /^draft-[a-z0-9]+(?:-[a-z0-9]+)*$/
+const DRAFT_REVISION_RE = /^(?<name>.+)-(?<rev>[0-9]{2})$/
+// -> XML sources are preferred, older drafts were only published as text
+const DRAFT_FORMATS = ['xml', 'txt']
+
+/**
+ * Get the URL of a resource, relative to a base URL which may or may not end with a slash
+ *
+ * @param {string} baseUrl Base URL
+ * @param {string} resourcePath Path of the resource, relative to the base URL
+ * @returns {string} Resource URL
+ */
+function joinUrl (baseUrl, resourcePath) {
+  return `${baseUrl.replace(/\/+$/, '')}/${resourcePath}`
+}
+
+/**
+ * Fetch the latest revision number of a draft from Datatracker
+ *
+ * @param {string} name Draft name, without revision
+ * @param {Object} [opts] Additional options
+ * @param {string} [opts.datatrackerUrl] Datatracker base URL
+ * @param {AbortSignal} [opts.signal] Signal to cancel the request
+ * @returns {Promise<string>} Revision number (e.g. 03)
+ */
+export async function fetchLatestDraftRevision (name, { datatrackerUrl = DATATRACKER_URL_DEFAULT, signal } = {}) {
+  const resp = await remoteFetch(joinUrl(datatrackerUrl, `doc/${name}/doc.json`), {
+    headers: {
+      Accept: 'application/json'
+    },
+    signal
+  })
+  if (resp.status === 404) {
+    throw new Error(`Draft ${name} not found on Datatracker.`)
+  } else if (!resp.ok) {
+    throw new Error(`Failed to fetch ${name} info from Datatracker: HTTP ${resp.status}`)
+  }
+  const info = await resp.json()
+  if (!/^[0-9]{2}$/.test(info?.rev)) {
+    throw new Error(`Datatracker returned no revision for ${name}.`)
+  }
+  return info.rev
+}
+
+/**
+ * Download a draft from the Internet-Drafts archive, in its XML source if available or in text otherwise.
+ * The latest revision is looked up on Datatracker, unless the name ends with a revision number (e.g. draft-ietf-abcd-03).
+ *
+ * @param {string} draftName Draft name, with or without revision
+ * @param {Object} [opts] Additional options
+ * @param {string} [opts.datatrackerUrl] Datatracker base URL, to look up the latest revision
+ * @param {string} [opts.archiveUrl] Base URL of the Internet-Drafts archive, to download the document from
+ * @param {AbortSignal} [opts.signal] Signal to cancel the requests
+ * @returns {Promise<Object>} Document filename (e.g. draft-ietf-abcd-03.xml), revision and raw contents (Uint8Array)
+ */
+export async function fetchDraft (draftName, { datatrackerUrl = DATATRACKER_URL_DEFAULT, archiveUrl = ARCHIVE_URL_DEFAULT, signal } = {}) {
+  const normalizedName = draftName.trim().toLowerCase().replace(/\.(txt|xml)$/, '')
+  if (!DRAFT_NAME_RE.test(normalizedName)) {
+    throw new Error(`Invalid draft name ${draftName}, expected a name such as draft-ietf-abcd-efgh.`)
+  }
+  const revMatch = normalizedName.match(DRAFT_REVISION_RE)
+  const name = revMatch ? revMatch.groups.name : normalizedName
+  const rev = revMatch ? revMatch.groups.rev : await fetchLatestDraftRevision(name, { datatrackerUrl, signal })
+
+  for (const format of DRAFT_FORMATS) {
+    const filename = `${name}-${rev}.${format}`
+    const resp = await remoteFetch(joinUrl(archiveUrl, filename), { signal })
+    if (resp.ok) {
+      return {
+        filename,
+        rev,
+        raw: new Uint8Array(await resp.arrayBuffer())
+      }
+    } else if (resp.status !== 404) {
+      throw new Error(`Failed to download ${filename}: HTTP ${resp.status}`)
+    }
+  }
+  throw new Error(`Revision ${rev} of ${name} not found in the Internet-Drafts archive.`)
+}
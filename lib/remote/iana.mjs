@@ -1,58 +1,110 @@
 import { decode } from 'entities'
+import { runWithTimeout } from '../helpers/abort.mjs'
+import { fetchRemoteCached, REMOTE_CACHE_TTLS } from '../helpers/remote.mjs'
 
 const ROOT_ZONE_DB = 'https://www.iana.org/domains/root/db'
 const ARPA_ZONE_DB = 'https://www.iana.org/domains/arpa'
 
-const data = {
-  tlds: ['.test', '.example', '.invalid', '.localhost'],
-  tldsCached: false,
-  arpa: [],
-  arpaCached: false
-}
+const RESERVED_TLDS = ['.test', '.example', '.invalid', '.localhost']
+
+// Lists loaded from IANA (or being loaded) by source, shared by lookups until they expire
+const lists = new Map()
 
 const rootZoneTldRgx = /<span class="domain tld"><a href="(?:.+?)(?<xn>xn--[a-z0-9]+)?\.html">(?<tld>.*)<\/a><\/span>/gi
 const arpaDomainRgx = /<span class="domain label">(?<domain>.*)<\/span>/gi
 
-export async function isValidDomainTLD (domain) {
-  if (!data.tldsCached) {
-    try {
-      const resp = await fetch(ROOT_ZONE_DB, { credentials: 'omit' }).then(r => r.text())
-      if (resp) {
-        const matches = resp.matchAll(rootZoneTldRgx)
-        for (const match of matches) {
-          if (match.groups.xn) {
-            data.tlds.push(`.${match.groups.xn}`)
-          }
-          data.tlds.push(decode(match.groups.tld))
-        }
-      } else {
-        throw new Error('Empty response.')
+/**
+ * Get a list loaded from IANA, loading it on the first lookup and again once its REMOTE_CACHE_TTLS duration has elapsed.
+ * Concurrent lookups share the same request, which isn't cancelled when one of them is. Failed loads are retried on the next lookup.
+ *
+ * @param {string} source Source of the list, one of the REMOTE_CACHE_TTLS keys
+ * @param {Function} load Async function loading the list
+ * @param {Object} [opts] Additional options
+ * @param {AbortSignal} [opts.signal] Signal to stop waiting for the list
+ * @returns {Promise<string[]>} List
+ */
+function getList (source, load, { signal } = {}) {
+  if (!(lists.get(source)?.expiresAt > Date.now())) {
+    const list = load().catch(err => {
+      if (lists.get(source)?.list === list) {
+        lists.delete(source)
       }
-      data.tldsCached = true
-    } catch (err) {
-      throw new Error(`Failed to fetch Root Zone TLDs from IANA: ${err.message}`)
-    }
+      throw err
+    })
+    lists.set(source, { list, expiresAt: Date.now() + REMOTE_CACHE_TTLS[source] })
   }
-  return data.tlds.some(t => domain.endsWith(t))
+  const { list } = lists.get(source)
+  return runWithTimeout(() => list, { signal })
 }
 
-export async function isValidArpaDomain (domain) {
-  if (!data.arpaCached) {
-    try {
-      const resp = await fetch(ARPA_ZONE_DB, { credentials: 'omit' }).then(r => r.text())
-      if (resp) {
-        const matches = resp.matchAll(arpaDomainRgx)
-        for (const match of matches) {
-          if (match.groups.domain === 'arpa') { continue }
-          data.arpa.push(match.groups.domain)
-        }
-      } else {
-        throw new Error('Empty response.')
+/**
+ * Load the TLDs of the IANA Root Zone Database
+ *
+ * @returns {Promise<string[]>} TLDs, starting with a dot
+ */
+async function loadTlds () {
+  try {
+    const { body: resp } = await fetchRemoteCached(ROOT_ZONE_DB, { source: 'iana-root-zone' })
+    if (!resp) {
+      throw new Error('Empty response.')
+    }
+    const tlds = [...RESERVED_TLDS]
+    for (const match of resp.matchAll(rootZoneTldRgx)) {
+      if (match.groups.xn) {
+        tlds.push(`.${match.groups.xn}`)
       }
-      data.arpaCached = true
-    } catch (err) {
-      throw new Error(`Failed to fetch ARPA Zone Domains from IANA: ${err.message}`)
+      tlds.push(decode(match.groups.tld))
     }
+    return tlds
+  } catch (err) {
+    throw new Error(`Failed to fetch Root Zone TLDs from IANA: ${err.message}`)
   }
-  return data.arpa.some(d => domain.endsWith(d))
+}
+
+/**
+ * Load the domains of the IANA .arpa Zone Management list
+ *
+ * @returns {Promise<string[]>} Domains
+ */
+async function loadArpaDomains () {
+  try {
+    const { body: resp } = await fetchRemoteCached(ARPA_ZONE_DB, { source: 'iana-arpa-zone' })
+    if (!resp) {
+      throw new Error('Empty response.')
+    }
+    const domains = []
+    for (const match of resp.matchAll(arpaDomainRgx)) {
+      if (match.groups.domain === 'arpa') { continue }
+      domains.push(match.groups.domain)
+    }
+    return domains
+  } catch (err) {
+    throw new Error(`Failed to fetch ARPA Zone Domains from IANA: ${err.message}`)
+  }
+}
+
+/**
+ * Check whether a domain ends with a TLD from the IANA Root Zone Database
+ *
+ * @param {string} domain Domain to check
+ * @param {Object} [opts] Additional options
+ * @param {AbortSignal} [opts.signal] Signal to cancel the lookup
+ * @returns {Promise<boolean>} Whether the TLD is valid
+ */
+export async function isValidDomainTLD (domain, { signal } = {}) {
+  const tlds = await getList('iana-root-zone', loadTlds, { signal })
+  return tlds.some(t => domain.endsWith(t))
+}
+
+/**
+ * Check whether a domain ends with a domain from the IANA .arpa Zone Management list
+ *
+ * @param {string} domain Domain to check
+ * @param {Object} [opts] Additional options
+ * @param {AbortSignal} [opts.signal] Signal to cancel the lookup
+ * @returns {Promise<boolean>} Whether the .arpa domain is valid
+ */
+export async function isValidArpaDomain (domain, { signal } = {}) {
+  const domains = await getList('iana-arpa-zone', loadArpaDomains, { signal })
+  return domains.some(d => domain.endsWith(d))
 }
@@ -0,0 +1,40 @@
+import path from 'node:path'
+import { getSeverity } from '../helpers/severity.mjs'
+
+// -> Compiler-style severity names, recognized by editors problem matchers
+const COMPACT_SEVERITIES = {
+  error: 'error',
+  warning: 'warning',
+  comment: 'note'
+}
+
+/**
+ * Format document reports in a compiler-style format, with one line per location of each result:
+ * `path:line:col: severity CODE: message`
+ * Results without lines omit the line and column, and end with the element path if any.
+ *
+ * @param {DocumentReport[]} reports Document reports
+ * @param {ReporterOptions} [opts] Reporter options
+ * @returns {string} Compact report
+ */
+export function formatCompact (reports, { cwd = process.cwd() } = {}) {
+  const lines = []
+  for (const report of reports) {
+    const file = path.relative(cwd, report.path) || report.path
+    if (report.error) {
+      lines.push(`${file}: error: ${report.error.message}`)
+    }
+    for (const entry of report.result) {
+      const desc = `${COMPACT_SEVERITIES[getSeverity(entry)]} ${entry.name}: ${entry.message.replace(/\s*\n\s*/g, ' ')}${entry.text ? ` (${entry.text})` : ''}`
+      if (entry.lines?.length > 0) {
+        for (const line of entry.lines) {
+          // -> Problem matchers expect 1-based positions
+          lines.push(`${file}:${Math.max(1, line.line)}:${Math.max(1, line.pos ?? 1)}: ${desc}`)
+        }
+      } else {
+        lines.push(`${file}: ${desc}${entry.path ? ` [${entry.path}]` : ''}`)
+      }
+    }
+  }
+  return lines.join('\n')
+}
@@ -0,0 +1,84 @@
+import path from 'node:path'
+import { getSeverity } from '../helpers/severity.mjs'
+
+const GITHUB_COMMANDS = {
+  error: 'error',
+  warning: 'warning',
+  comment: 'notice'
+}
+
+/**
+ * Escape the message of a workflow command
+ *
+ * @param {string} str Message
+ * @returns {string} Escaped message
+ */
+function escapeData (str) {
+  return String(str)
+    .replace(/%/g, '%25')
+    .replace(/\r/g, '%0D')
+    .replace(/\n/g, '%0A')
+}
+
+/**
+ * Escape a property value of a workflow command
+ *
+ * @param {string} str Property value
+ * @returns {string} Escaped property value
+ */
+function escapeProperty (str) {
+  return escapeData(str)
+    .replace(/:/g, '%3A')
+    .replace(/,/g, '%2C')
+}
+
+/**
+ * Build a workflow command
+ *
+ * @param {string} command Command name (error, warning or notice)
+ * @param {Object} props Command properties, undefined values are omitted
+ * @param {string} message Command message
+ * @returns {string} Workflow command
+ */
+function toCommand (command, props, message) {
+  const propsStr = Object.entries(props)
+    .filter(([key, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${escapeProperty(value)}`)
+    .join(',')
+  return `::${command} ${propsStr}::${escapeData(message)}`
+}
+
+/**
+ * Format document reports as GitHub Actions workflow commands, producing an annotation for each location of each result.
+ * Results without lines are annotated on the document, with the element path in the title.
+ *
+ * @param {DocumentReport[]} reports Document reports
+ * @param {ReporterOptions} [opts] Reporter options
+ * @returns {string} Workflow commands, one per line
+ */
+export function formatGitHub (reports, { cwd = process.cwd() } = {}) {
+  const commands = []
+  for (const report of reports) {
+    const file = path.relative(cwd, report.path).split(path.sep).join('/')
+    if (report.error) {
+      commands.push(toCommand('error', { file, title: 'Validation failed' }, report.error.message))
+    }
+    for (const entry of report.result) {
+      const command = GITHUB_COMMANDS[getSeverity(entry)]
+      const message = [
+        entry.message,
+        ...entry.text ? [`Text: ${entry.text}`] : [],
+        ...entry.refUrl ? [`Ref: ${entry.refUrl}`] : []
+      ].join('\n')
+      if (entry.lines?.length > 0) {
+        for (const line of entry.lines) {
+          // -> Annotations require 1-based positions
+          commands.push(toCommand(command, { file, line: Math.max(1, line.line), col: Math.max(1, line.pos ?? 1), title: entry.name }, message))
+        }
+      } else {
+        commands.push(toCommand(command, { file, title: entry.path ? `${entry.name} (${entry.path})` : entry.name }, message))
+      }
+    }
+  }
+  return commands.join('\n')
+}
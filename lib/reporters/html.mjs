@@ -0,0 +1,206 @@
+import path from 'node:path'
+import { groupBy } from 'lodash-es'
+import { createXMLLocator } from '../helpers/location.mjs'
+import { getSeverity, SEVERITIES } from '../helpers/severity.mjs'
+
+const SEVERITY_LABELS = {
+  error: 'Errors',
+  warning: 'Warnings',
+  comment: 'Comments'
+}
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: system-ui, sans-serif; color: #222; background: #f5f5f5; }
+  header { padding: 12px 24px; background: #333; color: #fff; }
+  header h1 { margin: 0; font-size: 18px; }
+  header p { margin: 4px 0 0; color: #bbb; font-size: 13px; }
+  section.document { margin: 24px; background: #fff; border: 1px solid #ddd; }
+  section.document > h2 { margin: 0; padding: 12px 16px; font-size: 15px; border-bottom: 1px solid #ddd; word-break: break-all; }
+  .layout { display: grid; grid-template-columns: 360px 1fr; }
+  aside { padding: 12px 16px; border-right: 1px solid #ddd; font-size: 13px; max-height: 90vh; overflow: auto; position: sticky; top: 0; }
+  aside summary { font-weight: bold; cursor: pointer; margin: 8px 0; }
+  aside h4 { margin: 8px 0 4px; font-family: monospace; }
+  aside ul { margin: 0 0 8px; padding-left: 18px; }
+  aside li { margin: 2px 0; }
+  .source { overflow: auto; font-family: monospace; font-size: 13px; }
+  .line { display: flex; white-space: pre; }
+  .line:target { outline: 2px solid #36c; }
+  .ln { flex: 0 0 56px; padding-right: 8px; text-align: right; color: #999; user-select: none; }
+  .line.error { background: #fdecea; }
+  .line.warning { background: #fff8e1; }
+  .line.comment { background: #e8f4fd; }
+  mark { background: none; border-bottom: 2px solid; }
+  mark.error { border-color: #d32f2f; }
+  mark.warning { border-color: #f9a825; }
+  mark.comment { border-color: #0288d1; }
+  .annotation { margin-left: 56px; padding: 2px 8px; font-family: system-ui, sans-serif; font-size: 12px; white-space: normal; }
+  .annotation.error { color: #b71c1c; }
+  .annotation.warning { color: #8d6e00; }
+  .annotation.comment { color: #01579b; }
+  .badge { display: inline-block; padding: 0 6px; border-radius: 8px; color: #fff; font-size: 11px; }
+  .badge.error { background: #d32f2f; }
+  .badge.warning { background: #f9a825; }
+  .badge.comment { background: #0288d1; }
+  .pass { padding: 12px 16px; color: #2e7d32; }
+  .failure { padding: 12px 16px; color: #b71c1c; }
+  .muted { color: #777; }
+`
+
+/**
+ * Escape a string for use in HTML text or attribute values
+ *
+ * @param {string} str String to escape
+ * @returns {string} Escaped string
+ */
+function escapeHTML (str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Render a link to the reference URL of a result entry
+ *
+ * @param {ValidationError} entry Result entry
+ * @returns {string} HTML link or empty string
+ */
+function renderRefLink (entry) {
+  return entry.refUrl ? ` <a href="${escapeHTML(entry.refUrl)}" target="_blank" rel="noopener">guidance</a>` : ''
+}
+
+/**
+ * Create a function returning the source locations of a result entry.
+ * XML results that only carry an element path are located in the document source.
+ *
+ * @param {DocumentReport} report Document report
+ * @returns {function(ValidationError): SourceLocation[]} Function returning the locations of an entry
+ */
+function createEntryLocator (report) {
+  const locate = path.extname(report.path).toLowerCase() === '.xml' && report.source ? createXMLLocator(report.source) : null
+  return (entry) => entry.lines?.length > 0 ? entry.lines : [locate?.(entry.path)].filter(Boolean)
+}
+
+/**
+ * Render the side panel of a document, listing results grouped by severity and code
+ *
+ * @param {ValidationError[]} result List of errors/warnings/comments
+ * @param {Function} getLocations Function returning the source locations of an entry
+ * @param {string} anchorPrefix Prefix of the source lines anchors
+ * @returns {string} HTML
+ */
+function renderPanel (result, getLocations, anchorPrefix) {
+  const bySeverity = groupBy(result, getSeverity)
+  return SEVERITIES.filter(severity => bySeverity[severity]).map(severity => {
+    const byCode = groupBy(bySeverity[severity], 'name')
+    const codes = Object.entries(byCode).map(([code, entries]) => {
+      const items = entries.map(entry => {
+        const lines = getLocations(entry)
+        const locations = [
+          ...lines.map(l => `<a href="#${anchorPrefix}${l.line}">Ln ${l.line} Col ${l.pos}</a>`),
+          // -> Paths are listed when the entry has no lines of its own, located or not
+          ...entry.path && !(entry.lines?.length > 0) ? [`<span class="muted">${escapeHTML(entry.path)}</span>`] : []
+        ]
+        return `<li>${locations.length > 0 ? `${locations.join(', ')} - ` : ''}${escapeHTML(entry.message)}${entry.text ? ` <code>${escapeHTML(entry.text)}</code>` : ''}${renderRefLink(entry)}</li>`
+      })
+      return `<h4>${escapeHTML(code)} <span class="muted">(${entries.length})</span></h4><ul>${items.join('')}</ul>`
+    })
+    return `<details open><summary><span class="badge ${severity}">${bySeverity[severity].length}</span> ${SEVERITY_LABELS[severity]}</summary>${codes.join('')}</details>`
+  }).join('')
+}
+
+/**
+ * Render the document source, with results highlighted at their line / column and annotated below the line
+ *
+ * @param {string} source Document contents
+ * @param {ValidationError[]} result List of errors/warnings/comments
+ * @param {Function} getLocations Function returning the source locations of an entry
+ * @param {string} anchorPrefix Prefix of the source lines anchors
+ * @returns {string} HTML
+ */
+function renderSource (source, result, getLocations, anchorPrefix) {
+  // -> Index results by line number
+  const byLine = new Map()
+  for (const entry of result) {
+    for (const l of getLocations(entry)) {
+      if (!byLine.has(l.line)) {
+        byLine.set(l.line, [])
+      }
+      byLine.get(l.line).push({ entry, pos: l.pos, severity: getSeverity(entry) })
+    }
+  }
+
+  return source.split(/\r?\n/).map((text, idx) => {
+    const lineNum = idx + 1
+    const marks = byLine.get(lineNum)
+    if (!marks) {
+      return `<div class="line" id="${anchorPrefix}${lineNum}"><span class="ln">${lineNum}</span><span>${escapeHTML(text)}</span></div>`
+    }
+
+    // -> Highlight the character at each column, from left to right
+    const lineSeverity = SEVERITIES.find(severity => marks.some(m => m.severity === severity))
+    const columns = new Map()
+    for (const mark of marks) {
+      const charIdx = Math.min(Math.max(1, mark.pos ?? 1), text.length + 1) - 1
+      if (!columns.has(charIdx)) {
+        columns.set(charIdx, mark)
+      }
+    }
+    let html = ''
+    let lastIdx = 0
+    for (const [charIdx, mark] of [...columns.entries()].sort((a, b) => a[0] - b[0])) {
+      html += escapeHTML(text.slice(lastIdx, charIdx))
+      html += `<mark class="${mark.severity}" title="${escapeHTML(`${mark.entry.name}: ${mark.entry.message}`)}">${escapeHTML(text.charAt(charIdx) || ' ')}</mark>`
+      lastIdx = charIdx + 1
+    }
+    html += escapeHTML(text.slice(lastIdx))
+
+    const annotations = marks.map(m => `<div class="annotation ${m.severity}">${escapeHTML(m.entry.name)}: ${escapeHTML(m.entry.message)}${renderRefLink(m.entry)}</div>`)
+    return `<div class="line ${lineSeverity}" id="${anchorPrefix}${lineNum}"><span class="ln">${lineNum}</span><span>${html}</span></div>${annotations.join('')}`
+  }).join('')
+}
+
+/**
+ * Format document reports as a self-contained HTML report, showing the source of each document
+ * with results highlighted inline, and a side panel listing results grouped by severity and code.
+ *
+ * @param {DocumentReport[]} reports Document reports
+ * @param {ReporterOptions} [opts] Reporter options
+ * @returns {string} HTML report
+ */
+export function formatHTML (reports, { toolVersion, cwd = process.cwd() } = {}) {
+  const sections = reports.map((report, reportIdx) => {
+    const relPath = path.relative(cwd, report.path) || report.path
+    const anchorPrefix = `d${reportIdx}-l`
+    let body = ''
+    if (report.error) {
+      body = `<p class="failure">Validation failed: ${escapeHTML(report.error.message)}</p>`
+    } else {
+      const summary = report.result.length > 0
+        ? `<p class="failure">Document is INVALID: ${report.result.length} nit(s) found.</p>`
+        : '<p class="pass">Document is VALID.</p>'
+      const suppressed = report.suppressed?.length > 0 ? `<p class="muted">${report.suppressed.length} nit(s) suppressed by inline directives.</p>` : ''
+      const getLocations = createEntryLocator(report)
+      body = `<div class="layout"><aside>${summary}${suppressed}${renderPanel(report.result, getLocations, anchorPrefix)}</aside><div class="source">${renderSource(report.source ?? '', report.result, getLocations, anchorPrefix)}</div></div>`
+    }
+    return `<section class="document"><h2>${escapeHTML(relPath)}</h2>${body}</section>`
+  })
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    '<title>idnits report</title>',
+    `<style>${STYLES}</style>`,
+    '</head>',
+    '<body>',
+    `<header><h1>idnits report</h1><p>${toolVersion ? `idnits ${escapeHTML(toolVersion)} - ` : ''}${reports.length} document(s)</p></header>`,
+    ...sections,
+    '</body>',
+    '</html>'
+  ].join('\n')
+}
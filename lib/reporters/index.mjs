@@ -0,0 +1,28 @@
+/**
+ * @typedef {Object} DocumentReport
+ * @property {string} path Absolute path of the document
+ * @property {string} [source] Document contents, used to resolve and quote locations
+ * @property {number} [size] Size of the document, in bytes
+ * @property {string} [mode] Name of the validation mode used
+ * @property {DocumentInfo} [document] Document metadata, as returned by checkNits()
+ * @property {ValidationError[]} result List of errors/warnings/comments
+ * @property {ValidationError[]} [suppressed] List of errors/warnings/comments waived by inline directives
+ * @property {ValidationError[]} [known] List of errors/warnings/comments hidden by a baseline
+ * @property {Error} [error] Error that prevented the document from being validated
+ * @property {Object[]} [validators] Validation steps that were run, with their `id` and own `result`
+ */
+
+/**
+ * @typedef {Object} ReporterOptions
+ * @property {string} [toolVersion] Version of idnits
+ * @property {string} [cwd] Directory document paths are displayed relative to
+ */
+
+export { formatCompact } from './compact.mjs'
+export { formatGitHub } from './github.mjs'
+export { formatHTML } from './html.mjs'
+export { formatJSON, JSON_SCHEMA_VERSION, toJSONNit, toJSONReport } from './json.mjs'
+export { formatJUnit } from './junit.mjs'
+export { formatLegacy } from './legacy.mjs'
+export { formatMarkdown } from './markdown.mjs'
+export { formatSarif } from './sarif.mjs'
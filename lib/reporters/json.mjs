@@ -0,0 +1,66 @@
+import { getSeverity } from '../helpers/severity.mjs'
+
+/**
+ * Version of the JSON output format, described by json.schema.json
+ */
+export const JSON_SCHEMA_VERSION = 2
+
+/**
+ * Convert a result entry to its JSON representation
+ *
+ * @param {ValidationError} entry Result entry
+ * @returns {Object} JSON nit
+ */
+export function toJSONNit (entry) {
+  return {
+    code: entry.name,
+    ruleId: entry.name,
+    severity: getSeverity(entry),
+    desc: entry.message,
+    ...entry.refUrl && { ref: entry.refUrl },
+    ...entry.path && { path: entry.path },
+    ...entry.text && { text: entry.text },
+    ...entry.lines?.length > 0 && { lines: entry.lines.map(l => ({ line: l.line, pos: l.pos })) }
+  }
+}
+
+/**
+ * Convert a document report to its JSON representation
+ *
+ * @param {DocumentReport} report Document report
+ * @param {ReporterOptions} [opts] Reporter options
+ * @returns {Object} JSON report
+ */
+export function toJSONReport (report, { toolVersion } = {}) {
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    tool: {
+      name: 'idnits',
+      version: toolVersion ?? null
+    },
+    result: report.error ? 'error' : (report.result.length > 0 ? 'fail' : 'pass'),
+    mode: report.mode ?? null,
+    file: {
+      path: report.path,
+      size: report.size ?? null
+    },
+    document: report.document ?? null,
+    ...report.error && { error: report.error.message },
+    nits: report.result.map(toJSONNit),
+    ...report.known && { known: report.known.length },
+    suppressed: (report.suppressed ?? []).map(toJSONNit)
+  }
+}
+
+/**
+ * Format document reports as JSON: an object for a single document, or an array of objects for a batch
+ *
+ * @param {DocumentReport[]} reports Document reports
+ * @param {ReporterOptions} [opts] Reporter options
+ * @param {boolean} [opts.batch] Whether to return an array, even for a single document
+ * @returns {string} JSON report
+ */
+export function formatJSON (reports, { batch = reports.length !== 1, ...opts } = {}) {
+  const jsonReports = reports.map(report => toJSONReport(report, opts))
+  return JSON.stringify(batch ? jsonReports : jsonReports[0])
+}
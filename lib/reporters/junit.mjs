@@ -0,0 +1,125 @@
+/* eslint-disable no-control-regex */
+
+import path from 'node:path'
+import { getSeverity } from '../helpers/severity.mjs'
+
+/**
+ * Escape a string for use in XML text or attribute values
+ *
+ * @param {string} str String to escape
+ * @returns {string} Escaped string
+ */
+function escapeXML (str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // -> Control characters are not allowed in XML 1.0, even escaped
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+}
+
+/**
+ * Describe a result entry on a single line
+ *
+ * @param {ValidationError} entry Result entry
+ * @returns {string} Entry description
+ */
+function describeEntry (entry) {
+  const location = entry.lines?.length > 0
+    ? ` [${entry.lines.map(l => `Ln ${l.line} Col ${l.pos}`).join(', ')}]`
+    : (entry.path ? ` [${entry.path}]` : '')
+  return `${getSeverity(entry).toUpperCase()} ${entry.name}: ${entry.message}${entry.text ? ` (${entry.text})` : ''}${location}${entry.refUrl ? ` - ${entry.refUrl}` : ''}`
+}
+
+/**
+ * Build a testcase element for a validator
+ *
+ * @param {string} classname Testcase class name
+ * @param {string} name Testcase name (validator ID)
+ * @param {ValidationError[]} result Results of the validator
+ * @param {string} warnings Whether warnings are reported as a failure or skipped
+ * @returns {Object} Testcase XML and counters
+ */
+function buildTestcase (classname, name, result, warnings) {
+  const failing = result.filter(entry => {
+    const severity = getSeverity(entry)
+    return severity === 'error' || (severity === 'warning' && warnings === 'failure')
+  })
+  const skipped = result.filter(entry => getSeverity(entry) === 'warning' && warnings === 'skipped')
+  const output = result.filter(entry => !failing.includes(entry))
+
+  const children = []
+  if (failing.length > 0) {
+    const codes = [...new Set(failing.map(entry => entry.name))]
+    children.push(`<failure message="${escapeXML(`${failing.length} nit(s): ${codes.join(', ')}`)}" type="${escapeXML(codes[0])}">${escapeXML(failing.map(describeEntry).join('\n'))}</failure>`)
+  } else if (skipped.length > 0) {
+    children.push(`<skipped message="${escapeXML(`${skipped.length} warning(s): ${[...new Set(skipped.map(entry => entry.name))].join(', ')}`)}"/>`)
+  }
+  if (output.length > 0) {
+    children.push(`<system-out>${escapeXML(output.map(describeEntry).join('\n'))}</system-out>`)
+  }
+
+  const attrs = `classname="${escapeXML(classname)}" name="${escapeXML(name)}"`
+  return {
+    xml: children.length > 0
+      ? `    <testcase ${attrs}>\n${children.map(c => `      ${c}`).join('\n')}\n    </testcase>`
+      : `    <testcase ${attrs}/>`,
+    failed: failing.length > 0,
+    skipped: failing.length === 0 && skipped.length > 0
+  }
+}
+
+/**
+ * Format document reports as a JUnit XML report, with a testsuite per document and a testcase per validator.
+ * Errors are reported as failures, warnings as failures or skipped and comments in the testcase output.
+ *
+ * @param {DocumentReport[]} reports Document reports, with the `validators` that were run
+ * @param {ReporterOptions} [opts] Reporter options
+ * @param {string} [opts.warnings=failure] Whether warnings are reported as a failure or skipped
+ * @returns {string} JUnit XML report
+ */
+export function formatJUnit (reports, { cwd = process.cwd(), warnings = 'failure' } = {}) {
+  const totals = { tests: 0, failures: 0, errors: 0, skipped: 0 }
+  const suites = []
+
+  for (const report of reports) {
+    const relPath = path.relative(cwd, report.path).split(path.sep).join('/')
+    const counts = { tests: 0, failures: 0, errors: 0, skipped: 0 }
+    const testcases = []
+
+    if (report.error) {
+      counts.tests++
+      counts.errors++
+      testcases.push(`    <testcase classname="${escapeXML(relPath)}" name="validation">\n      <error message="${escapeXML(report.error.message)}"/>\n    </testcase>`)
+    } else {
+      // -> Results not attributed to a validator (e.g. when validators are unknown) are grouped together
+      const validators = [...(report.validators ?? [{ id: 'idnits', result: report.result }])]
+      const attributed = new Set(validators.flatMap(v => v.result))
+      const unattributed = report.result.filter(entry => !attributed.has(entry))
+      if (unattributed.length > 0) {
+        validators.push({ id: 'other', result: unattributed })
+      }
+
+      for (const validator of validators) {
+        const testcase = buildTestcase(relPath, validator.id, validator.result, warnings)
+        counts.tests++
+        counts.failures += testcase.failed ? 1 : 0
+        counts.skipped += testcase.skipped ? 1 : 0
+        testcases.push(testcase.xml)
+      }
+    }
+
+    for (const key of Object.keys(totals)) {
+      totals[key] += counts[key]
+    }
+    suites.push(`  <testsuite name="${escapeXML(relPath)}" tests="${counts.tests}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}">\n${testcases.join('\n')}\n  </testsuite>`)
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="idnits" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" skipped="${totals.skipped}">`,
+    ...suites,
+    '</testsuites>'
+  ].join('\n')
+}
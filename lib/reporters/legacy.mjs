@@ -0,0 +1,160 @@
+import path from 'node:path'
+import { getSeverity } from '../helpers/severity.mjs'
+
+const LINE_WIDTH = 78
+const SEPARATOR = `  ${'-'.repeat(LINE_WIDTH - 2)}`
+
+// -> Markers of the idnits 2.x report, per severity
+const LEGACY_MARKERS = {
+  error: '**',
+  warning: '==',
+  comment: '--'
+}
+
+// -> Sections of the idnits 2.x report, with the validators / steps they list results of
+const LEGACY_SECTIONS = [
+  {
+    title: 'Checking boilerplate required by RFC 5378 and the IETF Trust (see https://trustee.ietf.org/license-info):',
+    validators: ['ipr-attribute', 'submission-type', 'xml-boilerplate']
+  },
+  {
+    title: 'Checking nits according to https://www.ietf.org/id-info/1id-guidelines.txt:',
+    validators: ['filename', 'encoding', 'decode', 'content', 'parse', 'doc-name', 'abstract-section', 'introduction-section', 'security-considerations-section', 'author-section', 'references-section', 'version', 'line-length']
+  },
+  {
+    title: 'Checking nits according to https://www.ietf.org/id-info/checklist :',
+    validators: ['iana-considerations-section', 'fqdns', 'ips', '2119-keywords', 'obsolete-update-ref', 'category', 'code-blocks', 'code-comments']
+  },
+  {
+    // -> Also lists results of custom validators
+    title: 'Miscellaneous warnings:',
+    validators: ['terms-style', 'date', 'deprecated-elements', 'text-like-refs']
+  },
+  {
+    title: 'Checking references for intended status:',
+    note: '(See RFCs 3967 and 4897 for information about using normative references to lower-maturity documents in RFCs)',
+    validators: ['downrefs']
+  }
+]
+const MISC_SECTION_IDX = 3
+
+/**
+ * Word-wrap a text to the report line width
+ *
+ * @param {string} text Text to wrap
+ * @param {string} firstPrefix Prefix of the first line
+ * @param {string} prefix Prefix of the following lines
+ * @returns {string[]} Wrapped lines
+ */
+function wrap (text, firstPrefix, prefix) {
+  const lines = []
+  let current = null
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (current === null) {
+      current = firstPrefix + word
+    } else if (current.length + word.length + 1 > LINE_WIDTH) {
+      lines.push(current)
+      current = prefix + word
+    } else {
+      current += ` ${word}`
+    }
+  }
+  lines.push(current ?? firstPrefix)
+  return lines
+}
+
+/**
+ * Describe a result entry the idnits 2.x way, e.g. "Looks like a reference: '1' on line 23."
+ *
+ * @param {ValidationError} entry Result entry
+ * @returns {string} Description
+ */
+function describeEntry (entry) {
+  let desc = entry.message.trim().replace(/\.$/, '')
+  if (entry.text) {
+    desc += `: '${entry.text}'`
+  }
+  if (entry.lines?.length > 0) {
+    desc += ` on line${entry.lines.length > 1 ? 's' : ''} ${entry.lines.map(l => l.line).join(', ')}`
+  } else if (entry.path) {
+    desc += ` (at ${entry.path})`
+  }
+  return `${desc}.`
+}
+
+/**
+ * Pluralize a count, e.g. "1 error", "3 errors"
+ *
+ * @param {number} count Count
+ * @param {string} noun Singular noun
+ * @returns {string} Count with noun
+ */
+function pluralize (count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`
+}
+
+/**
+ * Format document reports in the layout of the idnits 2.x text report, with results arranged
+ * in its boilerplate / guidelines / checklist / miscellaneous sections, and its summary line.
+ * idnits 3 has no "flaws", these are always reported as 0.
+ *
+ * @param {DocumentReport[]} reports Document reports
+ * @param {ReporterOptions} [opts] Reporter options
+ * @returns {string} Legacy text report
+ */
+export function formatLegacy (reports, { toolVersion, cwd = process.cwd() } = {}) {
+  const out = [`idnits ${toolVersion ?? ''}`.trim()]
+
+  // -> Map validator IDs to their section
+  const sectionIdxById = new Map()
+  LEGACY_SECTIONS.forEach((section, idx) => {
+    for (const id of section.validators) {
+      sectionIdxById.set(id, idx)
+    }
+  })
+
+  for (const report of reports) {
+    out.push('', `${path.relative(cwd, report.path) || report.path}:`, '')
+    if (report.error) {
+      out.push(...wrap(`Validation failed: ${report.error.message}`, `  ${LEGACY_MARKERS.error} `, '     '), '')
+      continue
+    }
+
+    // -> Assign each result to a section, based on the validator that reported it
+    const entrySectionIdx = new Map()
+    for (const validator of report.validators ?? []) {
+      for (const entry of validator.result) {
+        entrySectionIdx.set(entry, sectionIdxById.get(validator.id) ?? MISC_SECTION_IDX)
+      }
+    }
+    const sectionEntries = LEGACY_SECTIONS.map(() => [])
+    for (const entry of report.result) {
+      sectionEntries[entrySectionIdx.get(entry) ?? MISC_SECTION_IDX].push(entry)
+    }
+
+    LEGACY_SECTIONS.forEach((section, idx) => {
+      const entries = sectionEntries[idx]
+      // -> The references section is only shown when there are results in it
+      if (section.note && entries.length < 1) {
+        return
+      }
+      out.push(...wrap(section.title, '  ', '  '), SEPARATOR, '')
+      if (section.note) {
+        out.push(...wrap(section.note, '     ', '     '), '')
+      }
+      if (entries.length < 1) {
+        out.push('     No issues found here.', '')
+      }
+      for (const entry of entries) {
+        out.push(...wrap(describeEntry(entry), `  ${LEGACY_MARKERS[getSeverity(entry)]} `, '     '), '')
+      }
+    })
+
+    const counts = { error: 0, warning: 0, comment: 0 }
+    for (const entry of report.result) {
+      counts[getSeverity(entry)]++
+    }
+    out.push('', `     Summary: ${pluralize(counts.error, 'error')} (**), 0 flaws (~~), ${pluralize(counts.warning, 'warning')} (==), ${pluralize(counts.comment, 'comment')} (--).`, '')
+  }
+  return out.join('\n')
+}
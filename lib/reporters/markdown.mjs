@@ -0,0 +1,127 @@
+import path from 'node:path'
+import { groupBy } from 'lodash-es'
+import { getSeverity, SEVERITIES } from '../helpers/severity.mjs'
+
+const SEVERITY_ICONS = {
+  error: '❌',
+  warning: '⚠️',
+  comment: '💬'
+}
+
+/**
+ * Escape characters interpreted by Markdown / HTML in inline text
+ *
+ * @param {string} str String to escape
+ * @returns {string} Escaped string
+ */
+function escapeMarkdown (str) {
+  return String(str).replace(/[\\`*_[\]<>|#]/g, '\\$&').replace(/\s*\n\s*/g, ' ')
+}
+
+/**
+ * Quote source lines in a fenced code block, with their line number
+ *
+ * @param {string[]} sourceLines Document source lines
+ * @param {Object[]} lines Lines and column positions of a result entry
+ * @returns {string[]} Markdown lines
+ */
+function quoteLines (sourceLines, lines) {
+  const quoted = lines
+    .filter(l => sourceLines[l.line - 1] !== undefined)
+    .map(l => `${l.line} | ${sourceLines[l.line - 1]}`)
+  if (quoted.length < 1) {
+    return []
+  }
+  const fence = quoted.some(q => q.includes('```')) ? '~~~~' : '```'
+  return ['', `  ${fence}`, ...quoted.map(q => `  ${q}`), `  ${fence}`, '']
+}
+
+/**
+ * Count results by severity
+ *
+ * @param {ValidationError[]} result List of errors/warnings/comments
+ * @returns {Object} Number of results per severity
+ */
+function countSeverities (result) {
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]))
+  for (const entry of result) {
+    counts[getSeverity(entry)]++
+  }
+  return counts
+}
+
+/**
+ * Format document reports as a Markdown report, suitable for pull request comments.
+ * It starts with a summary table of results per severity, followed by a collapsible section per code,
+ * quoting the offending source lines when known.
+ *
+ * @param {DocumentReport[]} reports Document reports
+ * @param {ReporterOptions} [opts] Reporter options
+ * @returns {string} Markdown report
+ */
+export function formatMarkdown (reports, { toolVersion, cwd = process.cwd() } = {}) {
+  const out = ['## idnits report', '']
+
+  // -> Summary table
+  const totals = countSeverities([])
+  out.push('| Document | Result | Errors | Warnings | Comments |', '|---|---|--:|--:|--:|')
+  for (const report of reports) {
+    const relPath = path.relative(cwd, report.path) || report.path
+    if (report.error) {
+      out.push(`| \`${relPath}\` | ❗ Error | - | - | - |`)
+      continue
+    }
+    const counts = countSeverities(report.result)
+    for (const severity of SEVERITIES) {
+      totals[severity] += counts[severity]
+    }
+    out.push(`| \`${relPath}\` | ${report.result.length > 0 ? '❌ Fail' : '✅ Pass'} | ${counts.error} | ${counts.warning} | ${counts.comment} |`)
+  }
+  if (reports.length > 1) {
+    out.push(`| **Total** | | **${totals.error}** | **${totals.warning}** | **${totals.comment}** |`)
+  }
+  out.push('')
+
+  // -> Details of each document
+  for (const report of reports) {
+    const relPath = path.relative(cwd, report.path) || report.path
+    out.push(`### \`${relPath}\``, '')
+    if (report.error) {
+      out.push(`> **Validation failed:** ${escapeMarkdown(report.error.message)}`, '')
+      continue
+    }
+    if (report.result.length === 0) {
+      out.push('No nits found. 🎉', '')
+    }
+
+    const sourceLines = (report.source ?? '').split(/\r?\n/)
+    const byCode = groupBy(report.result, 'name')
+    const codes = Object.keys(byCode).sort((a, b) => SEVERITIES.indexOf(getSeverity(byCode[a][0])) - SEVERITIES.indexOf(getSeverity(byCode[b][0])))
+    for (const code of codes) {
+      const entries = byCode[code]
+      const severity = getSeverity(entries[0])
+      out.push('<details>', `<summary>${SEVERITY_ICONS[severity]} <strong>${code}</strong> (${severity}, ${entries.length})</summary>`, '')
+      for (const entry of entries) {
+        const location = entry.lines?.length > 0
+          ? ` - ${entry.lines.map(l => `Ln ${l.line} Col ${l.pos}`).join(', ')}`
+          : (entry.path ? ` - \`${entry.path}\`` : '')
+        const text = entry.text ? ` \`${entry.text.replace(/`/g, '\'')}\`` : ''
+        const ref = entry.refUrl ? ` ([guidance](${entry.refUrl}))` : ''
+        out.push(`- ${escapeMarkdown(entry.message)}${text}${location}${ref}`)
+        if (entry.lines?.length > 0) {
+          out.push(...quoteLines(sourceLines, entry.lines))
+        }
+      }
+      out.push('', '</details>', '')
+    }
+
+    if (report.suppressed?.length > 0) {
+      out.push(`_${report.suppressed.length} nit(s) suppressed by inline directives._`, '')
+    }
+  }
+
+  if (toolVersion) {
+    out.push(`<sub>Generated by idnits ${toolVersion}</sub>`, '')
+  }
+  return out.join('\n')
+}
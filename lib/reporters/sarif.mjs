@@ -0,0 +1,160 @@
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { getFingerprint } from '../helpers/baseline.mjs'
+import { getSeverity } from '../helpers/severity.mjs'
+
+export const SARIF_VERSION = '2.1.0'
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json'
+
+const SARIF_LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  comment: 'note'
+}
+
+/**
+ * Get the artifact URI of a document, relative to the working directory when possible
+ *
+ * @param {string} docPath Absolute path of the document
+ * @param {string} cwd Working directory
+ * @returns {Object} SARIF artifactLocation
+ */
+function getArtifactLocation (docPath, cwd) {
+  const relPath = path.relative(cwd, docPath)
+  if (relPath.startsWith('..') || path.isAbsolute(relPath)) {
+    return { uri: pathToFileURL(docPath).href }
+  }
+  return {
+    uri: relPath.split(path.sep).join('/'),
+    uriBaseId: '%SRCROOT%'
+  }
+}
+
+/**
+ * Convert a result entry to a SARIF result
+ *
+ * @param {ValidationError} entry Result entry
+ * @param {Object} ctx Conversion context
+ * @param {Object} ctx.artifactLocation SARIF artifactLocation of the document
+ * @param {Map<string, number>} ctx.ruleIndexes Index of each rule in the driver rules
+ * @param {string} ctx.source Document contents
+ * @returns {Object} SARIF result
+ */
+function toSarifResult (entry, { artifactLocation, ruleIndexes, source }) {
+  const locations = entry.lines?.length > 0
+    ? entry.lines.map(l => ({
+      physicalLocation: {
+        artifactLocation,
+        region: {
+          startLine: Math.max(1, l.line),
+          startColumn: Math.max(1, l.pos ?? 1)
+        }
+      }
+    }))
+    : [{
+        physicalLocation: { artifactLocation },
+        ...entry.path && {
+          logicalLocations: [{ fullyQualifiedName: entry.path, kind: 'element' }]
+        }
+      }]
+
+  return {
+    ruleId: entry.name,
+    ruleIndex: ruleIndexes.get(entry.name),
+    level: SARIF_LEVELS[getSeverity(entry)],
+    message: {
+      text: entry.text ? `${entry.message} (${entry.text})` : entry.message
+    },
+    locations,
+    partialFingerprints: {
+      'idnits/v1': getFingerprint(entry, source)
+    }
+  }
+}
+
+/**
+ * Format document reports as a SARIF 2.1.0 log, with a single run covering all documents.
+ * Result codes are mapped to rules, severities to levels and lines to physical locations.
+ * Results waived by inline directives are included as in-source suppressions.
+ *
+ * @param {DocumentReport[]} reports Document reports
+ * @param {ReporterOptions} [opts] Reporter options
+ * @returns {Object} SARIF log
+ */
+export function toSarif (reports, { toolVersion, cwd = process.cwd() } = {}) {
+  // -> Rules, in order of first appearance
+  const rules = []
+  const ruleIndexes = new Map()
+  for (const report of reports) {
+    for (const entry of [...report.result, ...(report.suppressed ?? [])]) {
+      if (ruleIndexes.has(entry.name)) {
+        continue
+      }
+      ruleIndexes.set(entry.name, rules.length)
+      rules.push({
+        id: entry.name,
+        ...entry.refUrl && { helpUri: entry.refUrl },
+        defaultConfiguration: {
+          level: SARIF_LEVELS[getSeverity(entry)]
+        }
+      })
+    }
+  }
+
+  const artifacts = []
+  const results = []
+  const notifications = []
+  for (const report of reports) {
+    const artifactLocation = getArtifactLocation(report.path, cwd)
+    const ctx = { artifactLocation, ruleIndexes, source: report.source ?? '' }
+    artifacts.push({ location: artifactLocation })
+    if (report.error) {
+      notifications.push({
+        level: 'error',
+        message: { text: report.error.message },
+        locations: [{ physicalLocation: { artifactLocation } }]
+      })
+    }
+    for (const entry of report.result) {
+      results.push(toSarifResult(entry, ctx))
+    }
+    for (const entry of report.suppressed ?? []) {
+      results.push({
+        ...toSarifResult(entry, ctx),
+        suppressions: [{ kind: 'inSource' }]
+      })
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: {
+        driver: {
+          name: 'idnits',
+          ...toolVersion && { version: toolVersion },
+          informationUri: 'https://github.com/ietf-tools/idnits',
+          rules
+        }
+      },
+      invocations: [{
+        executionSuccessful: notifications.length === 0,
+        toolExecutionNotifications: notifications
+      }],
+      artifacts,
+      results
+    }]
+  }
+}
+
+/**
+ * Format document reports as a SARIF 2.1.0 log string
+ *
+ * @param {DocumentReport[]} reports Document reports
+ * @param {ReporterOptions} [opts] Reporter options
+ * @returns {string} Stringified SARIF log
+ */
+export function formatSarif (reports, opts) {
+  return JSON.stringify(toSarif(reports, opts), null, 2)
+}
@@ -0,0 +1,80 @@
+import { describe, expect, test } from '@jest/globals'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
+import { applyBaseline, getFingerprint, getNormalizedLocation } from '../lib/helpers/baseline.mjs'
+import { checkNits } from '../lib/index.mjs'
+
+const xmlDocPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/draft-beep-boop.xml')
+
+const source = [
+  'First line',
+  '   This line   is too long',
+  'Third line'
+].join('\n')
+
+describe('getNormalizedLocation()', () => {
+  test('should use the path when available', async () => {
+    expect(getNormalizedLocation(new ValidationWarning('TEST', 'Test', { path: 'rfc.front.date' }), source)).toBe('rfc.front.date')
+  })
+  test('should strip the indices of the path', async () => {
+    expect(getNormalizedLocation(new ValidationWarning('TEST', 'Test', { path: 'rfc.middle.section[2].t[5].list' }), source)).toBe('rfc.middle.section.t.list')
+  })
+  test('should use the normalized contents of the lines', async () => {
+    expect(getNormalizedLocation(new ValidationError('TEST', 'Test', { lines: [{ line: 2, pos: 4 }, { line: 3, pos: 1 }] }), source)).toBe('This line is too long\nThird line')
+  })
+  test('should be empty for entries without location', async () => {
+    expect(getNormalizedLocation(new ValidationError('TEST', 'Test'), source)).toBe('')
+  })
+})
+
+describe('getFingerprint()', () => {
+  test('should not depend on line numbers or message', async () => {
+    const entry = new ValidationError('LINE_TOO_LONG', 'Test', { lines: [{ line: 2, pos: 26 }] })
+    const movedEntry = new ValidationError('LINE_TOO_LONG', 'Other message', { lines: [{ line: 3, pos: 26 }] })
+    expect(getFingerprint(entry, source)).toBe(getFingerprint(movedEntry, `New line\n${source}`))
+  })
+  test('should depend on the code and text', async () => {
+    const entry = new ValidationWarning('INVALID_DOMAIN_TLD', 'Test', { path: 'rfc.middle.t', text: 'abc.xyz' })
+    expect(getFingerprint(entry)).not.toBe(getFingerprint(new ValidationWarning('INVALID_ARPA_DOMAIN', 'Test', { path: 'rfc.middle.t', text: 'abc.xyz' })))
+    expect(getFingerprint(entry)).not.toBe(getFingerprint(new ValidationWarning('INVALID_DOMAIN_TLD', 'Test', { path: 'rfc.middle.t', text: 'def.xyz' })))
+  })
+})
+
+describe('applyBaseline()', () => {
+  test('should only keep entries not in the baseline', async () => {
+    const known = new ValidationError('FILENAME_TOO_LONG', 'Test')
+    const baseline = {
+      nits: [{ code: 'FILENAME_TOO_LONG', fingerprint: getFingerprint(known) }]
+    }
+    const added = new ValidationWarning('DOC_DATE_IN_PAST', 'Test', { path: 'rfc.front.date' })
+    expect(applyBaseline([known, added], baseline)).toEqual({ active: [added], known: [known] })
+  })
+  test('should report additional occurrences of a known entry', async () => {
+    const entry = new ValidationWarning('TEXT_DOC_REF', 'Test', { path: 'rfc.middle.t' })
+    const baseline = {
+      nits: [{ code: 'TEXT_DOC_REF', fingerprint: getFingerprint(entry) }]
+    }
+    const { active, known } = applyBaseline([entry, entry], baseline)
+    expect(active).toHaveLength(1)
+    expect(known).toHaveLength(1)
+  })
+  test('should keep XML entries known when a section is inserted', async () => {
+    const xmlDoc = await readFile(xmlDocPath, 'utf8')
+    const previous = await checkNits(xmlDoc, 'draft-beep-boop.xml', { offline: true })
+    const baseline = {
+      nits: previous.map(entry => ({ code: entry.name, fingerprint: getFingerprint(entry, xmlDoc) }))
+    }
+    expect(previous.some(entry => /\[[0-9]+\]/.test(entry.path))).toBe(true)
+
+    const editedDoc = xmlDoc.replace('<middle>', '<middle>\n    <section><name>Preamble</name><t>Inserted section.</t></section>')
+    const current = await checkNits(editedDoc, 'draft-beep-boop.xml', { offline: true })
+    const { active, known } = applyBaseline(current, baseline, editedDoc)
+    expect(active).toEqual([])
+    expect(known).toHaveLength(previous.length)
+  })
+  test('should fail for an invalid baseline', async () => {
+    expect(() => { applyBaseline([], {}) }).toThrow('Invalid baseline')
+  })
+})
@@ -0,0 +1,110 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals'
+import { execFile } from 'node:child_process'
+import { readFile } from 'node:fs/promises'
+import { builtinModules } from 'node:module'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { checkNits, setRemoteFetch } from '../lib/browser.mjs'
+import { fetchRemoteRfcInfo } from '../lib/helpers/remote.mjs'
+
+const IMPORT_RE = /^\s*(?:import|export)\s(?:[^'"]*?\sfrom\s)?'([^']+)'/gm
+const libDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../lib')
+
+const txtDoc = `
+
+Network Working Group                                          J. Doe
+Internet-Draft                                           Example Corp
+Intended status: Informational                           May 1, 2023
+Expires: November 2, 2023
+
+
+                          Café Protocol
+                      draft-doe-cafe-protocol-00
+
+Abstract
+
+   The café protocol.
+`
+
+/**
+ * List the modules statically imported by a first-party module and its first-party dependencies
+ *
+ * @param {string} entry Path of the entry module
+ * @returns {Promise<Object>} Files visited, and specifiers of the external modules imported
+ */
+async function getImportGraph (entry) {
+  const files = new Set()
+  const externals = new Set()
+  const dynamicImports = []
+  const queue = [entry]
+  while (queue.length > 0) {
+    const file = queue.shift()
+    if (files.has(file)) {
+      continue
+    }
+    files.add(file)
+    const source = await readFile(file, 'utf8')
+    if (/\bimport\(/.test(source)) {
+      dynamicImports.push(file)
+    }
+    for (const [, specifier] of source.matchAll(IMPORT_RE)) {
+      if (specifier.startsWith('.')) {
+        queue.push(path.resolve(path.dirname(file), specifier))
+      } else {
+        externals.add(specifier)
+      }
+    }
+  }
+  return { files, externals, dynamicImports }
+}
+
+describe('browser entrypoint', () => {
+  afterEach(() => {
+    setRemoteFetch()
+  })
+
+  test('should not import any Node.js built-in module', async () => {
+    const { files, externals, dynamicImports } = await getImportGraph(path.join(libDir, 'browser.mjs'))
+    expect(files).toContain(path.join(libDir, 'parsers/xml.mjs'))
+    expect([...externals].filter(m => m.startsWith('node:') || builtinModules.includes(m))).toEqual([])
+    expect(dynamicImports).toEqual([])
+  })
+  test('checkNits(): accepts a Uint8Array or a string', async () => {
+    const bytes = new TextEncoder().encode(txtDoc)
+    expect(Buffer.isBuffer(bytes)).toBe(false)
+    const fromBytes = await checkNits(bytes, 'draft-doe-cafe-protocol-00.txt', { offline: true })
+    const fromString = await checkNits(txtDoc, 'draft-doe-cafe-protocol-00.txt', { offline: true })
+    const fromArrayBuffer = await checkNits(bytes.buffer, 'draft-doe-cafe-protocol-00.txt', { offline: true })
+    expect(fromBytes.map(r => r.name)).toContain('NON_ASCII_UTF8')
+    expect(fromBytes.map(r => r.name)).not.toContain('INVALID_ENCODING')
+    expect(fromString.map(r => r.name)).toEqual(fromBytes.map(r => r.name))
+    expect(fromArrayBuffer.map(r => r.name)).toEqual(fromBytes.map(r => r.name))
+    expect(fromBytes.document).toEqual({ type: 'txt', kind: null, docName: 'draft-doe-cafe-protocol-00', version: '00' })
+  })
+  test('setRemoteFetch(): routes remote lookups through the given fetch implementation', async () => {
+    const fetchImpl = jest.fn(async () => new Response(JSON.stringify({ doc_id: 'RFC8174' }), { status: 200 }))
+    setRemoteFetch(fetchImpl)
+    await expect(fetchRemoteRfcInfo(8174)).resolves.toEqual({ doc_id: 'RFC8174' })
+    expect(fetchImpl).toHaveBeenCalledTimes(1)
+    const [url, opts] = fetchImpl.mock.calls[0]
+    expect(url).toBe('https://www.rfc-editor.org/rfc/rfc8174.json')
+    expect(opts.headers.Accept).toBe('application/json')
+    expect(opts.credentials).toBe('omit')
+  })
+})
+
+describe('package exports', () => {
+  test('should resolve the entrypoints and deep imports of lib modules', async () => {
+    // -> Package self-references resolve through the exports map, as they would for a dependent project
+    const script = `
+      const node = await import('@ietf-tools/idnits')
+      const browser = await import('@ietf-tools/idnits/browser')
+      const xml = await import('@ietf-tools/idnits/lib/modules/xml.mjs')
+      console.log(JSON.stringify([typeof node.loadProjectConfig, typeof browser.checkNits, typeof browser.loadProjectConfig, typeof xml.validateTextLikeRefs]))
+    `
+    const stdout = await new Promise((resolve, reject) => {
+      execFile(process.execPath, ['--input-type=module', '-e', script], { cwd: path.join(libDir, '..'), timeout: 30000 }, (err, out) => err ? reject(err) : resolve(out))
+    })
+    expect(JSON.parse(stdout)).toEqual(['function', 'function', 'undefined', 'function'])
+  }, 30000)
+})
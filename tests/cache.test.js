@@ -0,0 +1,185 @@
+import { afterAll, afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals'
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { createDiskCacheStore, getDefaultCacheDir } from '../lib/helpers/cache.mjs'
+import { fetchRemoteCached, fetchRemoteRfcInfo, REMOTE_CACHE_TTLS, REMOTE_MEMORY_CACHE_MAX, setRemoteCache, setRemoteCacheStore, setRemoteFetch } from '../lib/helpers/remote.mjs'
+
+const ROOT_ZONE_URL = 'https://www.iana.org/domains/root/db'
+
+/**
+ * Create an in-memory cache store
+ *
+ * @returns {Object} Cache store, with its entries
+ */
+function createMemoryStore () {
+  const entries = new Map()
+  return {
+    entries,
+    get: async (url) => entries.get(url) ?? null,
+    set: async (url, entry) => { entries.set(url, entry) }
+  }
+}
+
+describe('disk cache', () => {
+  let cacheDir = null
+
+  beforeAll(async () => {
+    cacheDir = await mkdtemp(path.join(os.tmpdir(), 'idnits-cache-'))
+  })
+
+  afterAll(async () => {
+    await rm(cacheDir, { recursive: true, force: true })
+  })
+
+  test('getDefaultCacheDir(): follows XDG_CACHE_HOME, then the platform conventions', () => {
+    expect(getDefaultCacheDir({ env: { XDG_CACHE_HOME: '/tmp/xdg' }, platform: 'linux', homeDir: '/home/doe' })).toBe(path.join('/tmp/xdg', 'idnits'))
+    expect(getDefaultCacheDir({ env: {}, platform: 'linux', homeDir: '/home/doe' })).toBe(path.join('/home/doe', '.cache', 'idnits'))
+    expect(getDefaultCacheDir({ env: {}, platform: 'darwin', homeDir: '/Users/doe' })).toBe(path.join('/Users/doe', 'Library', 'Caches', 'idnits'))
+    expect(getDefaultCacheDir({ env: { LOCALAPPDATA: 'C:/Users/doe/AppData/Local' }, platform: 'win32', homeDir: 'C:/Users/doe' })).toBe(path.join('C:/Users/doe/AppData/Local', 'idnits', 'Cache'))
+  })
+  test('createDiskCacheStore(): persists entries between stores', async () => {
+    const entry = { status: 200, body: 'Root Zone', etag: '"abc"', storedAt: 1700000000000 }
+    await createDiskCacheStore(path.join(cacheDir, 'nested')).set(ROOT_ZONE_URL, entry)
+    const store = createDiskCacheStore(path.join(cacheDir, 'nested'))
+    await expect(store.get(ROOT_ZONE_URL)).resolves.toEqual({ url: ROOT_ZONE_URL, ...entry })
+    await expect(store.get('https://www.iana.org/domains/arpa')).resolves.toBeNull()
+    await expect(createDiskCacheStore(path.join(cacheDir, 'nested'), { refresh: true }).get(ROOT_ZONE_URL)).resolves.toBeNull()
+    expect((await readdir(path.join(cacheDir, 'nested'))).filter(f => f.endsWith('.tmp'))).toEqual([])
+  })
+  test('createDiskCacheStore(): ignores unreadable entries and write failures', async () => {
+    const store = createDiskCacheStore(cacheDir)
+    await store.set(ROOT_ZONE_URL, { status: 200, body: 'Root Zone', storedAt: 1700000000000 })
+    const [entryFile] = (await readdir(cacheDir)).filter(f => f.endsWith('.json'))
+    await writeFile(path.join(cacheDir, entryFile), '{"url":')
+    await expect(store.get(ROOT_ZONE_URL)).resolves.toBeNull()
+
+    const blockedDir = path.join(cacheDir, 'blocked')
+    await writeFile(blockedDir, '')
+    await expect(createDiskCacheStore(blockedDir).set(ROOT_ZONE_URL, { status: 200, body: '', storedAt: 0 })).resolves.toBeUndefined()
+  })
+})
+
+describe('fetchRemoteCached()', () => {
+  afterEach(() => {
+    setRemoteFetch()
+    setRemoteCacheStore()
+  })
+
+  test('should fetch and store responses', async () => {
+    const store = createMemoryStore()
+    setRemoteCacheStore(store)
+    setRemoteFetch(jest.fn(async () => new Response('Root Zone', { status: 200, headers: { ETag: '"v1"', 'Last-Modified': 'Mon, 02 Oct 2023 10:00:00 GMT' } })))
+    await expect(fetchRemoteCached(ROOT_ZONE_URL, { source: 'iana-root-zone' })).resolves.toEqual({ status: 200, body: 'Root Zone' })
+    expect(store.entries.get(ROOT_ZONE_URL)).toEqual({
+      status: 200,
+      body: 'Root Zone',
+      etag: '"v1"',
+      lastModified: 'Mon, 02 Oct 2023 10:00:00 GMT',
+      storedAt: expect.any(Number)
+    })
+  })
+  test('should use fresh entries without fetching', async () => {
+    const store = createMemoryStore()
+    store.entries.set(ROOT_ZONE_URL, { status: 200, body: 'Cached Root Zone', storedAt: Date.now() - REMOTE_CACHE_TTLS['iana-root-zone'] + 60000 })
+    setRemoteCacheStore(store)
+    const fetchImpl = jest.fn()
+    setRemoteFetch(fetchImpl)
+    await expect(fetchRemoteCached(ROOT_ZONE_URL, { source: 'iana-root-zone' })).resolves.toEqual({ status: 200, body: 'Cached Root Zone' })
+    expect(fetchImpl).not.toHaveBeenCalled()
+  })
+  test('should revalidate expired entries', async () => {
+    const store = createMemoryStore()
+    const storedAt = Date.now() - REMOTE_CACHE_TTLS['iana-root-zone'] - 60000
+    store.entries.set(ROOT_ZONE_URL, { status: 200, body: 'Cached Root Zone', etag: '"v1"', lastModified: 'Mon, 02 Oct 2023 10:00:00 GMT', storedAt })
+    setRemoteCacheStore(store)
+    const fetchImpl = jest.fn(async () => new Response(null, { status: 304 }))
+    setRemoteFetch(fetchImpl)
+    await expect(fetchRemoteCached(ROOT_ZONE_URL, { source: 'iana-root-zone' })).resolves.toEqual({ status: 200, body: 'Cached Root Zone' })
+    expect(fetchImpl.mock.calls[0][1].headers).toMatchObject({ 'If-None-Match': '"v1"', 'If-Modified-Since': 'Mon, 02 Oct 2023 10:00:00 GMT' })
+    expect(store.entries.get(ROOT_ZONE_URL).storedAt).toBeGreaterThan(storedAt)
+
+    // -> Modified resources replace the entry
+    store.entries.get(ROOT_ZONE_URL).storedAt = storedAt
+    setRemoteFetch(async () => new Response('New Root Zone', { status: 200 }))
+    await expect(fetchRemoteCached(ROOT_ZONE_URL, { source: 'iana-root-zone' })).resolves.toEqual({ status: 200, body: 'New Root Zone' })
+    expect(store.entries.get(ROOT_ZONE_URL).body).toBe('New Root Zone')
+    expect(store.entries.get(ROOT_ZONE_URL).etag).toBeUndefined()
+  })
+  test('should fall back to expired entries when the resource can\'t be fetched', async () => {
+    const store = createMemoryStore()
+    store.entries.set(ROOT_ZONE_URL, { status: 200, body: 'Cached Root Zone', storedAt: 0 })
+    setRemoteCacheStore(store)
+    setRemoteFetch(async () => { throw new TypeError('fetch failed') })
+    await expect(fetchRemoteCached(ROOT_ZONE_URL, { source: 'iana-root-zone' })).resolves.toEqual({ status: 200, body: 'Cached Root Zone' })
+    await expect(fetchRemoteCached('https://www.iana.org/domains/arpa', { source: 'iana-arpa-zone' })).rejects.toThrow('fetch failed')
+  })
+  test('should not store server errors', async () => {
+    const store = createMemoryStore()
+    setRemoteCacheStore(store)
+    setRemoteFetch(async (url) => new Response('Error', { status: url.endsWith('.json') ? 404 : 503 }))
+    await expect(fetchRemoteCached(ROOT_ZONE_URL, { source: 'iana-root-zone' })).resolves.toEqual({ status: 503, body: 'Error' })
+    await expect(fetchRemoteCached('https://www.rfc-editor.org/rfc/rfc99999.json', { source: 'rfc-info' })).resolves.toEqual({ status: 404, body: 'Error' })
+    expect([...store.entries.keys()]).toEqual(['https://www.rfc-editor.org/rfc/rfc99999.json'])
+  })
+})
+
+describe('in-memory cache', () => {
+  afterEach(() => {
+    setRemoteFetch()
+    setRemoteCache(false)
+  })
+
+  test('should only cache found and not found lookups', async () => {
+    setRemoteCache(true)
+    const statuses = { 8174: [503, 200], 99999: [404, 200] }
+    const fetchImpl = jest.fn(async (url) => {
+      const status = statuses[url.match(/rfc(\d+)\.json$/)[1]].shift()
+      return new Response(status === 200 ? '{"doc_id":"RFC8174"}' : 'Error', { status })
+    })
+    setRemoteFetch(fetchImpl)
+    await expect(fetchRemoteRfcInfo(8174)).resolves.toBeNull()
+    await expect(fetchRemoteRfcInfo(8174)).resolves.toEqual({ doc_id: 'RFC8174' })
+    await expect(fetchRemoteRfcInfo(8174)).resolves.toEqual({ doc_id: 'RFC8174' })
+    await expect(fetchRemoteRfcInfo(99999)).resolves.toBeNull()
+    await expect(fetchRemoteRfcInfo(99999)).resolves.toBeNull()
+    expect(fetchImpl).toHaveBeenCalledTimes(3)
+  })
+  test('should revalidate entries once their TTL expires', async () => {
+    setRemoteCache(true)
+    const fetchImpl = jest.fn(async (url, { headers }) => headers['If-None-Match']
+      ? new Response(null, { status: 304 })
+      : new Response('{"doc_id":"RFC8174"}', { status: 200, headers: { ETag: '"v1"' } }))
+    setRemoteFetch(fetchImpl)
+    await expect(fetchRemoteRfcInfo(8174)).resolves.toEqual({ doc_id: 'RFC8174' })
+    await expect(fetchRemoteRfcInfo(8174)).resolves.toEqual({ doc_id: 'RFC8174' })
+    expect(fetchImpl).toHaveBeenCalledTimes(1)
+
+    const now = Date.now()
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(now + REMOTE_CACHE_TTLS['rfc-info'] + 60000)
+    try {
+      await expect(fetchRemoteRfcInfo(8174)).resolves.toEqual({ doc_id: 'RFC8174' })
+      expect(fetchImpl).toHaveBeenCalledTimes(2)
+      expect(fetchImpl.mock.calls[1][1].headers).toMatchObject({ 'If-None-Match': '"v1"' })
+    } finally {
+      nowSpy.mockRestore()
+    }
+  })
+  test('should evict the least recently used entries', async () => {
+    setRemoteCache(true)
+    const fetchImpl = jest.fn(async () => new Response('Root Zone', { status: 200 }))
+    setRemoteFetch(fetchImpl)
+    for (let idx = 0; idx <= REMOTE_MEMORY_CACHE_MAX; idx++) {
+      await fetchRemoteCached(`${ROOT_ZONE_URL}?page=${idx}`, { source: 'iana-root-zone' })
+      if (idx === 1) {
+        // -> Using the first entry again keeps it in the cache, evicting the second entry instead
+        await fetchRemoteCached(`${ROOT_ZONE_URL}?page=0`, { source: 'iana-root-zone' })
+      }
+    }
+    expect(fetchImpl).toHaveBeenCalledTimes(REMOTE_MEMORY_CACHE_MAX + 1)
+    await fetchRemoteCached(`${ROOT_ZONE_URL}?page=0`, { source: 'iana-root-zone' })
+    expect(fetchImpl).toHaveBeenCalledTimes(REMOTE_MEMORY_CACHE_MAX + 1)
+    await fetchRemoteCached(`${ROOT_ZONE_URL}?page=1`, { source: 'iana-root-zone' })
+    expect(fetchImpl).toHaveBeenCalledTimes(REMOTE_MEMORY_CACHE_MAX + 2)
+  })
+})
@@ -0,0 +1,86 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
+import { compareResults } from '../lib/helpers/compare.mjs'
+import { rootDir, runCLI } from './helpers/cli.mjs'
+
+describe('compareResults()', () => {
+  test('should group entries into fixed, added and unchanged', async () => {
+    const fixed = new ValidationWarning('DOC_DATE_IN_PAST', 'Test', { path: 'rfc.front.date' })
+    const previousUnchanged = new ValidationWarning('TEXT_DOC_REF', 'Test', { path: 'rfc.middle.section[0].t' })
+    const currentUnchanged = new ValidationWarning('TEXT_DOC_REF', 'Test', { path: 'rfc.middle.section[0].t' })
+    const added = new ValidationError('MISSING_IPR_ATTRIBUTE', 'Test')
+    expect(compareResults([fixed, previousUnchanged], [currentUnchanged, added])).toEqual({
+      fixed: [fixed],
+      added: [added],
+      unchanged: [currentUnchanged]
+    })
+  })
+  test('should match moved lines by their contents', async () => {
+    const previousSource = 'Abstract\n   A line that is way too long'
+    const currentSource = 'Abstract\n\n   A line that is   way too long'
+    const { fixed, added, unchanged } = compareResults(
+      [new ValidationError('LINE_TOO_LONG', 'Test', { lines: [{ line: 2, pos: 30 }] })],
+      [new ValidationError('LINE_TOO_LONG', 'Test', { lines: [{ line: 3, pos: 32 }] })],
+      { previousSource, currentSource }
+    )
+    expect(fixed).toHaveLength(0)
+    expect(added).toHaveLength(0)
+    expect(unchanged).toHaveLength(1)
+  })
+  test('should report additional occurrences as added', async () => {
+    const entry = new ValidationWarning('TEXT_DOC_REF', 'Test', { path: 'rfc.middle.t' })
+    const { fixed, added, unchanged } = compareResults([entry], [entry, entry])
+    expect(fixed).toHaveLength(0)
+    expect(added).toHaveLength(1)
+    expect(unchanged).toHaveLength(1)
+  })
+})
+
+describe('compare CLI', () => {
+  let tmpDir = null
+  // -> Each revision only introduces nits of a single severity
+  const revisions = {
+    error: ['<name>Security Considerations</name>', '<name>Threats</name>'],
+    warning: ['<name>Introduction</name>', '<name>Introduction</name>\n<t>Reach it at 10.0.0.256.</t>'],
+    comment: ['<name>Introduction</name>', '<name>Introduction</name>\n<t>Thanks to Zoé.</t>']
+  }
+
+  beforeAll(async () => {
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), 'idnits-compare-'))
+    const xmlDoc = await readFile(path.join(rootDir, 'tests/fixtures/draft-beep-boop.xml'), 'utf8')
+    await mkdir(path.join(tmpDir, 'previous'))
+    await writeFile(path.join(tmpDir, 'previous/draft-beep-boop.xml'), xmlDoc)
+    for (const [severity, [search, replacement]] of Object.entries(revisions)) {
+      await mkdir(path.join(tmpDir, severity))
+      await writeFile(path.join(tmpDir, severity, 'draft-beep-boop.xml'), xmlDoc.replace(search, replacement))
+    }
+  })
+
+  afterAll(async () => {
+    await rm(tmpDir, { recursive: true, force: true })
+  })
+
+  test.each([
+    ['error', 'errors', 2],
+    ['error', 'never', 0],
+    ['warning', 'errors', 0],
+    ['warning', 'warnings', 2],
+    ['comment', 'warnings', 0],
+    ['comment', 'comments', 2],
+    ['comment', 'never', 0]
+  ])('new %s nits with --fail-on %s should exit with code %i', async (severity, failOn, expectedCode) => {
+    const { code, stdout } = await runCLI(['compare', path.join(tmpDir, 'previous/draft-beep-boop.xml'), path.join(tmpDir, severity, 'draft-beep-boop.xml'), '--offline', '-o', 'json', '--fail-on', failOn])
+    expect(code).toBe(expectedCode)
+    const comparison = JSON.parse(stdout)
+    expect(comparison.new).toHaveLength(1)
+    expect(comparison.result).toBe(expectedCode === 2 ? 'fail' : 'pass')
+  }, 60000)
+  test('unchanged revisions should exit with code 0', async () => {
+    const previousPath = path.join(tmpDir, 'previous/draft-beep-boop.xml')
+    const { code } = await runCLI(['compare', previousPath, previousPath, '--offline', '-o', 'count', '--fail-on', 'comments'])
+    expect(code).toBe(0)
+  }, 60000)
+})
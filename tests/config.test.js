@@ -1,6 +1,10 @@
 import { describe, expect, test } from '@jest/globals'
+import os from 'node:os'
+import path from 'node:path'
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises'
 import { ALLOWED_DOMAINS_DEFAULT } from '../lib/config/externals.mjs'
 import { getModeByName } from '../lib/config/modes.mjs'
+import { loadProjectConfig, parseProjectConfig } from '../lib/config/project.mjs'
 
 describe('externals', () => {
   test('allowedDomainsDefault is an array of domains', async () => {
@@ -32,3 +36,55 @@ describe('modes', () => {
     expect(() => { getModeByName('invalid') }).toThrow()
   })
 })
+
+describe('project config', () => {
+  test('parseProjectConfig() should parse a JSON config', async () => {
+    expect(parseProjectConfig(JSON.stringify({
+      mode: 'sub',
+      allowedDomains: ['example.com'],
+      rules: { TOO_MANY_AUTHORS: 'off', TEXT_DOC_REF: 'Comment' }
+    }))).toEqual({
+      mode: 2,
+      modeName: 'submission',
+      allowedDomains: ['example.com'],
+      rules: { TOO_MANY_AUTHORS: 'off', TEXT_DOC_REF: 'comment' }
+    })
+  })
+  test('parseProjectConfig() should parse a YAML config', async () => {
+    expect(parseProjectConfig('mode: forgive-checklist\nrules:\n  LINE_TOO_LONG: warning\n  TEXT_DOC_REF: false\n')).toEqual({
+      mode: 1,
+      modeName: 'forgive-checklist',
+      rules: { LINE_TOO_LONG: 'warning', TEXT_DOC_REF: 'off' }
+    })
+  })
+  test('parseProjectConfig() should accept an empty config', async () => {
+    expect(parseProjectConfig('')).toEqual({ rules: {} })
+  })
+  test('parseProjectConfig() should fail for an invalid config', async () => {
+    expect(() => { parseProjectConfig('- a\n- b') }).toThrow('expected an object')
+    expect(() => { parseProjectConfig('{ "mode": "invalid" }') }).toThrow('unknown mode')
+    expect(() => { parseProjectConfig('{ "allowedDomains": "ietf.org" }') }).toThrow('allowedDomains')
+    expect(() => { parseProjectConfig('{ "rules": { "LINE_TOO_LONG": "fatal" } }') }).toThrow('rule LINE_TOO_LONG')
+    expect(() => { parseProjectConfig('{ "rules": { "line-too-long": "off" } }') }).toThrow('not a valid code')
+    expect(() => { parseProjectConfig('{ "unknown": true }') }).toThrow('unknown option')
+    expect(() => { parseProjectConfig('{ invalid') }).toThrow('Invalid config file')
+  })
+  test('loadProjectConfig() should find the closest config file', async () => {
+    const rootDir = await mkdtemp(path.join(os.tmpdir(), 'idnits-'))
+    try {
+      const draftDir = path.join(rootDir, 'drafts', 'foo')
+      await mkdir(draftDir, { recursive: true })
+      await writeFile(path.join(rootDir, '.idnitsrc.yml'), 'mode: submission\n')
+      await expect(loadProjectConfig(draftDir)).resolves.toEqual({
+        path: path.join(rootDir, '.idnitsrc.yml'),
+        mode: 2,
+        modeName: 'submission',
+        rules: {}
+      })
+      await writeFile(path.join(rootDir, 'drafts', '.idnitsrc'), '{ "mode": "normal" }')
+      await expect(loadProjectConfig(draftDir)).resolves.toHaveProperty('path', path.join(rootDir, 'drafts', '.idnitsrc'))
+    } finally {
+      await rm(rootDir, { recursive: true, force: true })
+    }
+  })
+})
@@ -0,0 +1,98 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import { readFile } from 'node:fs/promises'
+import http from 'node:http'
+import path from 'node:path'
+import { fetchDraft, fetchLatestDraftRevision } from '../lib/remote/drafts.mjs'
+import { rootDir, runCLI } from './helpers/cli.mjs'
+
+const txtDoc = await readFile(path.join(rootDir, 'tests/fixtures/draft-ietf-idr-rt-derived-community-00.txt'))
+const xmlDoc = await readFile(path.join(rootDir, 'tests/fixtures/draft-ietf-idr-rt-derived-community-00.xml'))
+
+// Stand-in for Datatracker and the Internet-Drafts archive
+const standInFiles = {
+  '/doc/draft-ietf-idr-rt-derived-community/doc.json': JSON.stringify({ name: 'draft-ietf-idr-rt-derived-community', rev: '00' }),
+  '/doc/draft-doe-old-protocol/doc.json': JSON.stringify({ name: 'draft-doe-old-protocol', rev: '04' }),
+  '/doc/draft-doe-broken/doc.json': JSON.stringify({ name: 'draft-doe-broken' }),
+  '/archive/id/draft-ietf-idr-rt-derived-community-00.xml': xmlDoc,
+  '/archive/id/draft-ietf-idr-rt-derived-community-00.txt': txtDoc,
+  '/archive/id/draft-doe-old-protocol-04.txt': 'Old protocol',
+  '/archive/id/draft-doe-old-protocol-03.txt': 'Older protocol'
+}
+
+describe('drafts', () => {
+  let server = null
+  let datatrackerUrl = null
+  let archiveUrl = null
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const file = standInFiles[req.url]
+      res.writeHead(file ? 200 : 404)
+      res.end(file ?? 'Not Found')
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    datatrackerUrl = `http://127.0.0.1:${server.address().port}`
+    archiveUrl = `${datatrackerUrl}/archive/id/`
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  test('fetchLatestDraftRevision(): looks up the latest revision on Datatracker', async () => {
+    await expect(fetchLatestDraftRevision('draft-doe-old-protocol', { datatrackerUrl })).resolves.toBe('04')
+    await expect(fetchLatestDraftRevision('draft-doe-unknown', { datatrackerUrl })).rejects.toThrow('Draft draft-doe-unknown not found on Datatracker.')
+    await expect(fetchLatestDraftRevision('draft-doe-broken', { datatrackerUrl })).rejects.toThrow('Datatracker returned no revision for draft-doe-broken.')
+  })
+  test('fetchDraft(): downloads the latest revision, preferring XML', async () => {
+    const draft = await fetchDraft('draft-ietf-idr-rt-derived-community', { datatrackerUrl, archiveUrl })
+    expect(draft.filename).toBe('draft-ietf-idr-rt-derived-community-00.xml')
+    expect(draft.rev).toBe('00')
+    expect(Buffer.from(draft.raw).equals(xmlDoc)).toBe(true)
+  })
+  test('fetchDraft(): falls back to text and accepts a revision', async () => {
+    const latest = await fetchDraft('draft-doe-old-protocol', { datatrackerUrl, archiveUrl })
+    expect(latest.filename).toBe('draft-doe-old-protocol-04.txt')
+    const previous = await fetchDraft('draft-doe-old-protocol-03', { datatrackerUrl: 'http://127.0.0.1:1', archiveUrl })
+    expect(previous.filename).toBe('draft-doe-old-protocol-03.txt')
+    expect(new TextDecoder().decode(previous.raw)).toBe('Older protocol')
+    await expect(fetchDraft('draft-doe-old-protocol-02', { datatrackerUrl, archiveUrl })).rejects.toThrow('Revision 02 of draft-doe-old-protocol not found in the Internet-Drafts archive.')
+  })
+  test('fetchDraft(): rejects invalid names', async () => {
+    await expect(fetchDraft('../draft-doe', { datatrackerUrl, archiveUrl })).rejects.toThrow('Invalid draft name ../draft-doe')
+    await expect(fetchDraft('rfc1234', { datatrackerUrl, archiveUrl })).rejects.toThrow('Invalid draft name rfc1234')
+  })
+  test('CLI: validates a draft fetched by name', async () => {
+    const { code, stdout } = await runCLI(['--fetch', 'draft-ietf-idr-rt-derived-community', '--datatracker-url', datatrackerUrl, '--archive-url', archiveUrl, '--offline', '-o', 'json', '--fail-on', 'never'])
+    expect(code).toBe(0)
+    const report = JSON.parse(stdout)
+    expect(report.file).toEqual({ path: path.join(rootDir, 'draft-ietf-idr-rt-derived-community-00.xml'), size: xmlDoc.length })
+    expect(report.document.docName).toBe('draft-ietf-idr-rt-derived-community-00')
+  }, 60000)
+  test('CLI: validates a document read from stdin', async () => {
+    const { code, stdout } = await runCLI(['-', '--filename', 'draft-ietf-idr-rt-derived-community-00.txt', '--offline', '-o', 'json', '--fail-on', 'never'], txtDoc)
+    expect(code).toBe(0)
+    const report = JSON.parse(stdout)
+    expect(report.file).toEqual({ path: path.join(rootDir, 'draft-ietf-idr-rt-derived-community-00.txt'), size: txtDoc.length })
+    expect(report.document.type).toBe('txt')
+
+    const missingFilename = await runCLI(['-', '--offline'], txtDoc)
+    expect(missingFilename.code).toBe(1)
+    expect(missingFilename.stderr).toContain('The --filename argument is required when reading from stdin (-).')
+  }, 60000)
+  test('CLI: only reads stdin for - in place of a path', async () => {
+    const afterFlag = await runCLI(['--offline', '-', '--filename', 'draft-ietf-idr-rt-derived-community-00.txt', '-o', 'count', '--fail-on', 'never'], txtDoc)
+    expect(afterFlag.code).toBe(0)
+    expect(afterFlag.stdout.trim()).toMatch(/^[0-9]+$/)
+
+    // -> The first - is the value of --filename, not a path
+    const optionValue = await runCLI(['--filename', '-', '-', '--offline'], txtDoc)
+    expect(optionValue.code).toBe(1)
+    expect(optionValue.stderr).toContain('The --filename argument is required when reading from stdin (-).')
+  }, 60000)
+  test('CLI: writes the whole report before exiting with a failing code', async () => {
+    const { code, stdout } = await runCLI(['-', '--filename', 'draft-ietf-idr-rt-derived-community-00.xml', '--offline', '-o', 'html'], xmlDoc)
+    expect(code).toBe(2)
+    expect(stdout.trimEnd()).toMatch(/<\/html>$/)
+  }, 60000)
+})
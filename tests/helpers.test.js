@@ -1,5 +1,15 @@
 import { describe, expect, test } from '@jest/globals'
+import os from 'node:os'
+import path from 'node:path'
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises'
 import { findDescendantWith, findAllDescendantsWith } from '../lib/helpers/traversal.mjs'
+import { ValidationComment, ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
+import { applyRuleOverrides, getSeverity, withSeverity } from '../lib/helpers/severity.mjs'
+import { createLimiter, mapConcurrent } from '../lib/helpers/concurrency.mjs'
+import { runWithTimeout } from '../lib/helpers/abort.mjs'
+import { expandDocumentPaths, getLocalIncludes } from '../lib/helpers/files.mjs'
+import { createXMLLocator, createXMLMarkupLineResolver } from '../lib/helpers/location.mjs'
+import { runCLI } from './helpers/cli.mjs'
 
 describe('traversal', () => {
   describe('findDescendantWith()', () => {
@@ -53,3 +63,206 @@ describe('traversal', () => {
   // TODO: traverseAll()
   // TODO: traverseAllValues()
 })
+
+describe('severity', () => {
+  test('getSeverity() should return the severity of an entry', async () => {
+    expect(getSeverity(new ValidationError('TEST'))).toBe('error')
+    expect(getSeverity(new ValidationWarning('TEST'))).toBe('warning')
+    expect(getSeverity(new ValidationComment('TEST'))).toBe('comment')
+  })
+  test('withSeverity() should copy an entry with another severity', async () => {
+    const entry = new ValidationError('TEST', 'Test message', { ref: 'https://example.com', lines: [{ line: 1, pos: 2 }], path: 'rfc.front', text: 'abc' })
+    const copy = withSeverity(entry, 'comment')
+    expect(copy).toBeInstanceOf(ValidationComment)
+    expect(copy).toMatchObject({ name: 'TEST', message: 'Test message', refUrl: 'https://example.com', lines: [{ line: 1, pos: 2 }], path: 'rfc.front', text: 'abc' })
+    expect(withSeverity(entry, 'error')).toBe(entry)
+    expect(() => { withSeverity(entry, 'fatal') }).toThrow()
+  })
+  test('applyRuleOverrides() should drop and change severity of entries', async () => {
+    const result = applyRuleOverrides([
+      new ValidationError('DROPPED'),
+      new ValidationError('CHANGED'),
+      new ValidationWarning('UNCHANGED')
+    ], { DROPPED: 'off', CHANGED: 'warning' })
+    expect(result).toHaveLength(2)
+    expect(result[0]).toBeInstanceOf(ValidationWarning)
+    expect(result[0].name).toBe('CHANGED')
+    expect(result[1].name).toBe('UNCHANGED')
+  })
+})
+
+describe('concurrency', () => {
+  test('mapConcurrent() should return results in items order', async () => {
+    const result = await mapConcurrent([30, 10, 20], 2, async (delay, idx) => {
+      await new Promise(resolve => setTimeout(resolve, delay))
+      return `${idx}:${delay}`
+    })
+    expect(result).toEqual(['0:30', '1:10', '2:20'])
+  })
+  test('mapConcurrent() should not exceed the concurrency limit', async () => {
+    let running = 0
+    let maxRunning = 0
+    await mapConcurrent([1, 2, 3, 4, 5, 6], 3, async () => {
+      running++
+      maxRunning = Math.max(maxRunning, running)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      running--
+    })
+    expect(maxRunning).toBe(3)
+  })
+  test('mapConcurrent() should handle an empty list', async () => {
+    await expect(mapConcurrent([], 4, async () => true)).resolves.toEqual([])
+  })
+  test('createLimiter() should bound the number of running functions', async () => {
+    const limit = createLimiter(2)
+    let running = 0
+    let maxRunning = 0
+    const results = await Promise.all([1, 2, 3, 4, 5].map(item => limit(async () => {
+      running++
+      maxRunning = Math.max(maxRunning, running)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      running--
+      return item * 2
+    })))
+    expect(results).toEqual([2, 4, 6, 8, 10])
+    expect(maxRunning).toBe(2)
+    await expect(limit(async () => { throw new Error('Failed') })).rejects.toThrow('Failed')
+  })
+  test('mapConcurrent() / createLimiter() should fail for an invalid limit', async () => {
+    for (const limit of [0, -1, 1.5, NaN, undefined]) {
+      await expect(mapConcurrent([1, 2], limit, async () => true)).rejects.toThrow('Invalid Concurrency Limit')
+      expect(() => { createLimiter(limit) }).toThrow('Invalid Concurrency Limit')
+    }
+    await expect(mapConcurrent([1, 2], Infinity, async (item) => item)).resolves.toEqual([1, 2])
+  })
+  test('CLI: --concurrency should only accept an integer of 1 or more', async () => {
+    for (const concurrency of ['abc', '0', '2.5']) {
+      const { code, stderr } = await runCLI(['--concurrency', concurrency, '--offline', 'tests/fixtures/draft-beep-boop.txt', 'tests/fixtures/draft-beep-boop.xml'])
+      expect(code).toBe(1)
+      expect(stderr).toContain('The --concurrency argument must be an integer of 1 or more.')
+    }
+  }, 60000)
+})
+
+describe('abort', () => {
+  test('runWithTimeout() should return the value of the function', async () => {
+    await expect(runWithTimeout(async (signal) => signal instanceof AbortSignal, { timeout: 1000 })).resolves.toBe(true)
+  })
+  test('runWithTimeout() should reject and abort the function signal after the time limit', async () => {
+    let funcSignal = null
+    const promise = runWithTimeout((signal) => {
+      funcSignal = signal
+      return new Promise(() => {})
+    }, { timeout: 10 })
+    await expect(promise).rejects.toMatchObject({ name: 'TimeoutError' })
+    expect(funcSignal.aborted).toBe(true)
+  })
+  test('runWithTimeout() should reject with the reason of the parent signal', async () => {
+    const controller = new AbortController()
+    const promise = runWithTimeout(() => new Promise(() => {}), { signal: controller.signal })
+    controller.abort(new Error('Cancelled'))
+    await expect(promise).rejects.toThrow('Cancelled')
+    await expect(runWithTimeout(async () => true, { signal: controller.signal })).rejects.toThrow('Cancelled')
+  })
+})
+
+describe('files', () => {
+  test('expandDocumentPaths() should expand directories and glob patterns', async () => {
+    const rootDir = await mkdtemp(path.join(os.tmpdir(), 'idnits-'))
+    try {
+      await mkdir(path.join(rootDir, 'drafts'))
+      await writeFile(path.join(rootDir, 'drafts', 'draft-ietf-a-b-00.xml'), '')
+      await writeFile(path.join(rootDir, 'drafts', 'draft-ietf-c-d-00.txt'), '')
+      await writeFile(path.join(rootDir, 'drafts', 'notes.md'), '')
+      await writeFile(path.join(rootDir, 'draft-ietf-e-f-00.xml'), '')
+      await expect(expandDocumentPaths(['drafts'], rootDir)).resolves.toEqual([
+        path.join(rootDir, 'drafts', 'draft-ietf-a-b-00.xml'),
+        path.join(rootDir, 'drafts', 'draft-ietf-c-d-00.txt')
+      ])
+      await expect(expandDocumentPaths(['**/*.xml', 'drafts/draft-ietf-a-b-00.xml', 'missing.xml'], rootDir)).resolves.toEqual([
+        path.join(rootDir, 'draft-ietf-e-f-00.xml'),
+        path.join(rootDir, 'drafts', 'draft-ietf-a-b-00.xml'),
+        path.join(rootDir, 'missing.xml')
+      ])
+      await expect(expandDocumentPaths(['*.json'], rootDir)).rejects.toThrow('No document matches')
+    } finally {
+      await rm(rootDir, { recursive: true, force: true })
+    }
+  })
+  test('getLocalIncludes() should only list local SYSTEM external entities', async () => {
+    const docPath = path.join('/drafts', 'draft-ietf-a-b-00.xml')
+    const rawText = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE rfc [',
+      '  <!ENTITY intro SYSTEM "sections/intro.xml">',
+      '  <!ENTITY abs SYSTEM "file:///shared/abstract.xml">',
+      '  <!ENTITY RFC2119 SYSTEM "https://bib.ietf.org/public/rfc/bibxml/reference.RFC.2119.xml">',
+      '  <!ENTITY other PUBLIC "other.xml">',
+      ']>',
+      '<rfc>&intro;</rfc>'
+    ].join('\n')
+    expect(getLocalIncludes(docPath, rawText)).toEqual([
+      path.resolve('/drafts/sections/intro.xml'),
+      path.resolve('/shared/abstract.xml')
+    ])
+    expect(getLocalIncludes(path.join('/drafts', 'draft-ietf-a-b-00.txt'), rawText)).toEqual([])
+  })
+})
+
+describe('location', () => {
+  const locate = createXMLLocator([
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE rfc [',
+    '  <!ENTITY nbsp "&#160;">',
+    ']>',
+    '<rfc docName="draft-ietf-beep-boop-00" version="3">',
+    '  <!-- <front> in a comment -->',
+    '  <front>',
+    '    <abstract><?line 12?><t>Hello</t></abstract>',
+    '    <date year="2023"/>',
+    '  </front>',
+    '  <back>',
+    '    <references><name>A</name></references>',
+    '    <references',
+    '      title="B">',
+    '    </references>',
+    '  </back>',
+    '</rfc>'
+  ].join('\n'))
+
+  test('createXMLLocator(): resolves element paths', async () => {
+    expect(locate('rfc')).toEqual({ line: 5, pos: 1 })
+    expect(locate('rfc.front.date')).toEqual({ line: 9, pos: 5 })
+    expect(locate('rfc.front.abstract.?line')).toEqual({ line: 8, pos: 15 })
+    expect(locate('rfc.back.references[1]')).toEqual({ line: 13, pos: 5 })
+  })
+  test('createXMLLocator(): resolves attribute paths', async () => {
+    expect(locate('rfc.docName')).toEqual({ line: 5, pos: 6 })
+    expect(locate('rfc._attr.version')).toEqual({ line: 5, pos: 40 })
+    expect(locate('rfc.back.references[1].title')).toEqual({ line: 14, pos: 7 })
+  })
+  test('createXMLLocator(): resolves unknown keys to the closest element', async () => {
+    expect(locate('rfc.front.abstract.t.#text')).toEqual({ line: 8, pos: 26 })
+    expect(locate('rfc.back.references[0].title')).toEqual({ line: 12, pos: 5 })
+    expect(locate('front')).toBeNull()
+    expect(locate('')).toBeNull()
+  })
+  test('createXMLMarkupLineResolver(): resolves lines inside markup to the line where it starts', async () => {
+    const resolveMarkupLine = createXMLMarkupLineResolver([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rfc',
+      '  docName="draft-ietf-beep-boop-00"',
+      '  version="3">',
+      '  <!--',
+      '    comment',
+      '  -->',
+      '  <front/>',
+      '</rfc>'
+    ].join('\n'))
+    expect(resolveMarkupLine(3)).toBe(2)
+    expect(resolveMarkupLine(4)).toBe(2)
+    expect(resolveMarkupLine(7)).toBe(5)
+    expect(resolveMarkupLine(2)).toBe(2)
+    expect(resolveMarkupLine(8)).toBe(8)
+  })
+})
@@ -0,0 +1,21 @@
+import { execFile } from 'node:child_process'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+export const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../..')
+
+/**
+ * Run the CLI
+ *
+ * @param {string[]} args CLI arguments
+ * @param {string|Buffer} [input] stdin contents
+ * @returns {Promise<Object>} Exit code and output
+ */
+export function runCLI (args, input) {
+  return new Promise(resolve => {
+    const child = execFile(process.execPath, [path.join(rootDir, 'cli.js'), ...args], { cwd: rootDir, timeout: 60000 }, (err, stdout, stderr) => {
+      resolve({ code: err?.code ?? 0, stdout, stderr })
+    })
+    child.stdin.end(input)
+  })
+}
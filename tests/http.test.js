@@ -0,0 +1,136 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import { getMultipartBoundary, parseMultipart } from '../lib/http/multipart.mjs'
+import { createHTTPServer } from '../lib/http/server.mjs'
+
+const xmlDoc = `<?xml version="1.0" encoding="UTF-8"?>
+<rfc docName="draft-ietf-beep-boop-00" category="std" ipr="trust200902" submissionType="IETF" version="3">
+  <front>
+    <title>Beep Boop</title>
+    <date year="2023"/>
+  </front>
+</rfc>
+`
+
+/**
+ * Build a multipart/form-data body
+ *
+ * @param {string} boundary Multipart boundary
+ * @param {Object[]} parts Parts, with name, data and an optional filename
+ * @returns {string} Body
+ */
+function buildMultipart (boundary, parts) {
+  return parts.map(p => [
+    `--${boundary}`,
+    `Content-Disposition: form-data; name="${p.name}"${p.filename ? `; filename="${p.filename}"` : ''}`,
+    ...p.filename ? ['Content-Type: application/octet-stream'] : [],
+    '',
+    p.data
+  ].join('\r\n')).join('\r\n') + `\r\n--${boundary}--\r\n`
+}
+
+describe('multipart', () => {
+  test('getMultipartBoundary(): reads the boundary of multipart content types', () => {
+    expect(getMultipartBoundary('multipart/form-data; boundary=----abc123')).toBe('----abc123')
+    expect(getMultipartBoundary('multipart/form-data; boundary="a b"; charset=utf-8')).toBe('a b')
+    expect(getMultipartBoundary('text/plain')).toBeNull()
+    expect(getMultipartBoundary(undefined)).toBeNull()
+    expect(() => getMultipartBoundary('multipart/form-data')).toThrow('Missing multipart boundary.')
+  })
+  test('parseMultipart(): parses fields and files', () => {
+    const body = Buffer.from(buildMultipart('xyz', [
+      { name: 'mode', data: 'submission' },
+      { name: 'file', filename: 'draft.txt', data: 'Line 1\r\n--xy\r\nLine 3\r\n' }
+    ]))
+    const parts = parseMultipart(body, 'xyz')
+    expect(parts.map(p => [p.name, p.filename, p.contentType, p.data.toString()])).toEqual([
+      ['mode', undefined, undefined, 'submission'],
+      ['file', 'draft.txt', 'application/octet-stream', 'Line 1\r\n--xy\r\nLine 3\r\n']
+    ])
+  })
+  test('parseMultipart(): rejects truncated bodies', () => {
+    expect(() => parseMultipart(Buffer.from('--xyz\r\nContent-Disposition: form-data; name="file"\r\n\r\nabc'), 'xyz')).toThrow('missing closing boundary')
+    expect(() => parseMultipart(Buffer.from('abc'), 'xyz')).toThrow('Invalid multipart body.')
+  })
+})
+
+describe('HTTP server', () => {
+  let server = null
+  let baseUrl = null
+
+  beforeAll(async () => {
+    server = createHTTPServer({ toolVersion: '3.0.0', offline: true, maxSize: 2048 })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  afterAll(async () => {
+    server.closeAllConnections()
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  test('GET /health', async () => {
+    const res = await fetch(`${baseUrl}/health`)
+    expect(res.status).toBe(200)
+    await expect(res.json()).resolves.toEqual({ status: 'ok' })
+  })
+  test('GET /version', async () => {
+    const res = await fetch(`${baseUrl}/version`)
+    await expect(res.json()).resolves.toEqual({ name: 'idnits', version: '3.0.0', schemaVersion: 2 })
+  })
+  test('POST /validate: validates a raw body', async () => {
+    const res = await fetch(`${baseUrl}/validate?filename=draft-ietf-beep-boop-00.xml&mode=submission`, { method: 'POST', body: xmlDoc })
+    expect(res.status).toBe(200)
+    expect(res.headers.get('content-type')).toBe('application/json; charset=utf-8')
+    const report = await res.json()
+    expect(report).toMatchObject({
+      schemaVersion: 2,
+      tool: { name: 'idnits', version: '3.0.0' },
+      result: 'fail',
+      mode: 'submission',
+      file: { path: 'draft-ietf-beep-boop-00.xml', size: Buffer.byteLength(xmlDoc) },
+      document: { type: 'xml', docName: 'draft-ietf-beep-boop-00', version: '00' }
+    })
+    expect(report.nits.map(n => n.code)).toContain('DOC_DATE_IN_PAST')
+  })
+  test('POST /validate: validates a multipart upload', async () => {
+    const form = new FormData()
+    form.append('mode', 'forgive-checklist')
+    form.append('file', new Blob([xmlDoc]), 'uploads/draft-ietf-beep-boop-00.xml')
+    const res = await fetch(`${baseUrl}/validate`, { method: 'POST', body: form })
+    expect(res.status).toBe(200)
+    const report = await res.json()
+    expect(report.mode).toBe('forgive-checklist')
+    expect(report.file.path).toBe('draft-ietf-beep-boop-00.xml')
+    expect(report.document.docName).toBe('draft-ietf-beep-boop-00')
+  })
+  test('POST /validate: rejects invalid requests', async () => {
+    const cases = [
+      [`${baseUrl}/validate`, xmlDoc, 'Missing document filename.'],
+      [`${baseUrl}/validate?filename=draft.pdf`, xmlDoc, 'Unsupported document type, the filename must end with .txt or .xml.'],
+      [`${baseUrl}/validate?filename=draft.xml&mode=strict`, xmlDoc, 'Invalid mode strict, must be normal, forgive-checklist or submission.'],
+      [`${baseUrl}/validate?filename=draft.xml`, '', 'Empty document.']
+    ]
+    for (const [url, body, error] of cases) {
+      const res = await fetch(url, { method: 'POST', body })
+      expect(res.status).toBe(400)
+      await expect(res.json()).resolves.toEqual({ error })
+    }
+    const form = new FormData()
+    form.append('filename', 'draft.xml')
+    const res = await fetch(`${baseUrl}/validate`, { method: 'POST', body: form })
+    expect(res.status).toBe(400)
+    await expect(res.json()).resolves.toEqual({ error: 'Missing file field in multipart body.' })
+  })
+  test('POST /validate: rejects bodies exceeding the size limit', async () => {
+    const res = await fetch(`${baseUrl}/validate?filename=draft.txt`, { method: 'POST', body: 'x'.repeat(4096) })
+    expect(res.status).toBe(413)
+    await expect(res.json()).resolves.toEqual({ error: 'Request body exceeds the limit of 2048 bytes.' })
+  })
+  test('should reject unknown endpoints and methods', async () => {
+    const notFound = await fetch(`${baseUrl}/acme`)
+    expect(notFound.status).toBe(404)
+    const notAllowed = await fetch(`${baseUrl}/validate`)
+    expect(notAllowed.status).toBe(405)
+    expect(notAllowed.headers.get('allow')).toBe('POST')
+  })
+})
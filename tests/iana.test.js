@@ -0,0 +1,47 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals'
+import { REMOTE_CACHE_TTLS, setRemoteFetch } from '../lib/helpers/remote.mjs'
+import { isValidArpaDomain, isValidDomainTLD } from '../lib/remote/iana.mjs'
+
+const rootZoneHtml = '<span class="domain tld"><a href="/domains/root/db/com.html">.com</a></span>'
+const arpaZoneHtml = '<span class="domain label">arpa</span>\n<span class="domain label">in-addr.arpa</span>'
+
+describe('IANA lookups', () => {
+  afterEach(() => {
+    setRemoteFetch()
+    jest.restoreAllMocks()
+  })
+
+  test('should retry failed loads on the next lookup', async () => {
+    setRemoteFetch(async () => new Response(''))
+    await expect(isValidArpaDomain('beep.arpa')).rejects.toThrow('Failed to fetch ARPA Zone Domains from IANA: Empty response.')
+    setRemoteFetch(async () => new Response(arpaZoneHtml))
+    await expect(isValidArpaDomain('1.2.0.192.in-addr.arpa')).resolves.toBe(true)
+    await expect(isValidArpaDomain('beep.arpa')).resolves.toBe(false)
+  })
+  test('should fetch the list once for concurrent lookups', async () => {
+    const fetchImpl = jest.fn(async () => new Response(rootZoneHtml))
+    setRemoteFetch(fetchImpl)
+    await expect(Promise.all([
+      isValidDomainTLD('example.com'),
+      isValidDomainTLD('example.invalidtld'),
+      isValidDomainTLD('www.example.test')
+    ])).resolves.toEqual([true, false, true])
+    await expect(isValidDomainTLD('ietf.com')).resolves.toBe(true)
+    expect(fetchImpl).toHaveBeenCalledTimes(1)
+  })
+  test('should reload the lists once they expire', async () => {
+    setRemoteFetch(async () => new Response(rootZoneHtml))
+    await expect(isValidDomainTLD('example.com')).resolves.toBe(true)
+
+    const fetchImpl = jest.fn(async () => new Response(rootZoneHtml.replaceAll('com', 'org')))
+    setRemoteFetch(fetchImpl)
+    await expect(isValidDomainTLD('example.org')).resolves.toBe(false)
+    expect(fetchImpl).not.toHaveBeenCalled()
+
+    const now = Date.now()
+    jest.spyOn(Date, 'now').mockReturnValue(now + REMOTE_CACHE_TTLS['iana-root-zone'] + 1000)
+    await expect(isValidDomainTLD('example.org')).resolves.toBe(true)
+    await expect(isValidDomainTLD('example.com')).resolves.toBe(false)
+    expect(fetchImpl).toHaveBeenCalledTimes(1)
+  })
+})
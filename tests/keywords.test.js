@@ -599,6 +599,8 @@ describe('document should have valid term spelling', () => {
       await expect(validateTermsStyle(doc)).resolves.toContainError('INCORRECT_TERM_SPELLING', ValidationComment)
       await expect(validateTermsStyle(doc, { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('INCORRECT_TERM_SPELLING', ValidationComment)
       await expect(validateTermsStyle(doc, { mode: MODES.SUBMISSION })).resolves.toHaveLength(0)
+      const [entry] = await validateTermsStyle(doc)
+      expect(entry.lines).toEqual([{ line: 1, pos: 13 }])
     })
     test('invalid spelling (Internet-Draft)', async () => {
       const doc = cloneDeep(baseTXTDoc)
@@ -0,0 +1,211 @@
+import { describe, expect, test } from '@jest/globals'
+import { readFile } from 'node:fs/promises'
+import { PassThrough } from 'node:stream'
+import { checkNits } from '../lib/index.mjs'
+import { ValidationComment, ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
+import { getCodeActions, toDiagnostics } from '../lib/lsp/diagnostics.mjs'
+import { ERROR_CODES, readMessages, writeMessage } from '../lib/lsp/jsonrpc.mjs'
+import { startLanguageServer } from '../lib/lsp/server.mjs'
+
+const templateDoc = await readFile(new URL('./fixtures/draft-template-standard.xml', import.meta.url), 'utf8')
+
+/**
+ * Apply a LSP TextEdit to a text
+ *
+ * @param {string} text Text
+ * @param {Object} edit LSP TextEdit
+ * @returns {string} Edited text
+ */
+function applyEdit (text, { range, newText }) {
+  const lines = text.split('\n')
+  const toOffset = ({ line, character }) => lines.slice(0, line).reduce((total, l) => total + l.length + 1, 0) + character
+  return text.slice(0, toOffset(range.start)) + newText + text.slice(toOffset(range.end))
+}
+
+const xmlDoc = `<?xml version="1.0" encoding="UTF-8"?>
+<rfc docName="draft-ietf-beep-boop-00" version="3">
+  <front>
+    <title>Beep Boop</title>
+    <date year="2023"/>
+  </front>
+</rfc>
+`
+
+/**
+ * Create a client connected to a language server, running on in-memory streams
+ *
+ * @returns {Object} Client
+ */
+function createClient () {
+  const input = new PassThrough()
+  const output = new PassThrough()
+  const messages = []
+  const waiters = []
+  readMessages(output, {
+    onMessage: (message) => {
+      messages.push(message)
+      for (const waiter of [...waiters]) {
+        if (waiter.match(message)) {
+          waiters.splice(waiters.indexOf(waiter), 1)
+          waiter.resolve(message)
+        }
+      }
+    },
+    onError: () => {}
+  })
+  const exitCode = startLanguageServer({ input, output, toolVersion: '3.0.0', settings: { offline: true }, debounce: 10 })
+  let nextId = 1
+
+  function waitFor (match) {
+    const found = messages.find(match)
+    return found ? Promise.resolve(found) : new Promise(resolve => waiters.push({ match, resolve }))
+  }
+
+  return {
+    exitCode,
+    messages,
+    waitFor,
+    notify: (method, params) => writeMessage(input, { method, params }),
+    request: (method, params) => {
+      const id = nextId++
+      writeMessage(input, { id, method, params })
+      return waitFor(m => m.id === id && !m.method)
+    }
+  }
+}
+
+describe('jsonrpc', () => {
+  test('readMessages(): reads messages split across chunks', async () => {
+    const input = new PassThrough()
+    const messages = []
+    const errors = []
+    readMessages(input, { onMessage: m => messages.push(m), onError: err => errors.push(err) })
+    const body = JSON.stringify({ jsonrpc: '2.0', method: 'test', params: { text: 'héllo' } })
+    const frame = `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`
+    input.write(frame.slice(0, 10))
+    input.write(frame.slice(10) + frame + 'Content-Length: 3\r\n\r\n{x}')
+    await new Promise(resolve => setImmediate(resolve))
+    expect(messages).toHaveLength(2)
+    expect(messages[0].params.text).toBe('héllo')
+    expect(errors).toHaveLength(1)
+  })
+  test('writeMessage(): writes messages with a Content-Length header', async () => {
+    const output = new PassThrough()
+    writeMessage(output, { id: 1, result: 'é' })
+    expect(output.read().toString()).toBe('Content-Length: 38\r\n\r\n{"jsonrpc":"2.0","id":1,"result":"é"}')
+  })
+})
+
+describe('diagnostics', () => {
+  test('toDiagnostics(): maps lines to ranges, highlighting the offending text', async () => {
+    const source = 'Title\n   The e-mail address MUST not be used.\n'
+    const diagnostics = toDiagnostics([
+      new ValidationComment('INCORRECT_TERM_SPELLING', '"e-mail" should be spelled as email (no hyphen).', { lines: [{ line: 2, pos: 7 }] }),
+      new ValidationComment('INCORRECT_KEYWORD_SPELLING', 'The keyword "MUST not" is misspelled.', { lines: [{ line: 2, pos: 23 }] }),
+      new ValidationError('LINE_TOO_LONG', 'Too long.', { ref: 'https://example.com/ref', lines: [{ line: 2, pos: 39 }] }),
+      new ValidationWarning('TOO_MANY_AUTHORS', 'Too many authors.')
+    ], source, 'txt')
+    expect(diagnostics.map(d => [d.code, d.severity, d.range.start.line, d.range.start.character, d.range.end.character])).toEqual([
+      ['INCORRECT_TERM_SPELLING', 3, 1, 7, 13],
+      ['INCORRECT_KEYWORD_SPELLING', 3, 1, 22, 30],
+      ['LINE_TOO_LONG', 1, 1, 38, 39],
+      ['TOO_MANY_AUTHORS', 2, 0, 0, 5]
+    ])
+    expect(diagnostics[0].data.fix.edit).toEqual({ range: diagnostics[0].range, newText: 'email' })
+    expect(diagnostics[1].data.fix.edit.newText).toBe('MUST NOT')
+    expect(diagnostics[2].codeDescription).toEqual({ href: 'https://example.com/ref' })
+    expect(diagnostics[2].data.fix).toBeUndefined()
+    expect(diagnostics[2].data.ignore.edit).toEqual({
+      range: { start: { line: 1, character: 0 }, end: { line: 1, character: 0 } },
+      newText: '   <?idnits ignore LINE_TOO_LONG?>\n'
+    })
+    expect(diagnostics[3].data).toEqual({})
+  })
+  test('toDiagnostics(): locates XML results from their path', async () => {
+    const diagnostics = toDiagnostics([
+      new ValidationWarning('DOC_DATE_IN_PAST', 'Date in the past.', { path: 'rfc.front.date' }),
+      new ValidationError('MISSING_REQLEVEL_REF', 'Missing reference.')
+    ], xmlDoc, 'xml')
+    expect(diagnostics[0].range).toEqual({ start: { line: 4, character: 4 }, end: { line: 4, character: 23 } })
+    expect(diagnostics[0].data.ignore.edit.newText).toBe('    <?idnits ignore DOC_DATE_IN_PAST?>\n')
+    expect(diagnostics[1].range.start).toEqual({ line: 1, character: 0 })
+  })
+  test('toDiagnostics(): inserts ignore directives before multi-line start tags, not inside them', async () => {
+    const source = templateDoc.replace('submissionType="IETF"', 'submissionType="bogus"')
+    const result = await checkNits(Buffer.from(source), 'draft-rfcxml-general-template-standard-00.xml', { offline: true })
+    const diagnostic = toDiagnostics(result, source, 'xml').find(d => d.code === 'SUBMISSION_TYPE_INVALID')
+    expect(diagnostic.range.start.line).toBe(32)
+    expect(diagnostic.data.ignore.edit.range.start).toEqual({ line: 25, character: 0 })
+
+    const ignored = applyEdit(source, diagnostic.data.ignore.edit)
+    const ignoredResult = await checkNits(Buffer.from(ignored), 'draft-rfcxml-general-template-standard-00.xml', { offline: true })
+    expect(ignoredResult.document).not.toBeNull()
+    expect(ignoredResult.map(r => r.name)).not.toContain('SUBMISSION_TYPE_INVALID')
+    expect(ignoredResult.suppressed.map(r => r.name)).toContain('SUBMISSION_TYPE_INVALID')
+  })
+  test('toDiagnostics(): only offers to ignore XML results that a directive can match', async () => {
+    const source = templateDoc.replace('<t>Abstract [REPLACE]</t>', '<t>Abstract\u0001 [REPLACE]</t>')
+    const result = await checkNits(Buffer.from(source), 'draft-rfcxml-general-template-standard-00.xml', { offline: true })
+    const diagnostics = toDiagnostics(result, source, 'xml')
+    // -> Results only carrying lines aren't matched by XML directives
+    expect(diagnostics.find(d => d.code === 'INVALID_CTRL_CODES').data.ignore).toBeUndefined()
+
+    // -> Document-level results are ignored by a directive at the top of the document
+    const diagnostic = diagnostics.find(d => d.code === 'MISSING_REQLEVEL_REF')
+    const ignored = applyEdit(source, diagnostic.data.ignore.edit)
+    const ignoredResult = await checkNits(Buffer.from(ignored), 'draft-rfcxml-general-template-standard-00.xml', { offline: true })
+    expect(ignoredResult.map(r => r.name)).not.toContain('MISSING_REQLEVEL_REF')
+    expect(ignoredResult.suppressed.map(r => r.name)).toContain('MISSING_REQLEVEL_REF')
+  })
+  test('getCodeActions(): returns the fix and ignore actions of idnits diagnostics', async () => {
+    const diagnostics = toDiagnostics([
+      new ValidationComment('INCORRECT_TERM_SPELLING', '"e-mail" should be spelled as email (no hyphen).', { lines: [{ line: 1, pos: 1 }] })
+    ], 'e-mail', 'txt')
+    const actions = getCodeActions('file:///drafts/draft.txt', [...diagnostics, { source: 'other', data: { fix: {} } }])
+    expect(actions.map(a => [a.title, a.kind, a.isPreferred])).toEqual([
+      ['Replace with "email"', 'quickfix', true],
+      ['Ignore INCORRECT_TERM_SPELLING here', 'quickfix', undefined]
+    ])
+    expect(actions[0].edit.changes['file:///drafts/draft.txt']).toEqual([diagnostics[0].data.fix.edit])
+  })
+})
+
+describe('server', () => {
+  test('should publish diagnostics of open documents and exit after shutdown', async () => {
+    const client = createClient()
+    const init = await client.request('initialize', { capabilities: {} })
+    expect(init.result.capabilities.textDocumentSync.change).toBe(1)
+    expect(init.result.serverInfo).toEqual({ name: 'idnits', version: '3.0.0' })
+    client.notify('initialized', {})
+
+    const uri = 'untitled:draft-ietf-beep-boop-00.xml'
+    client.notify('textDocument/didOpen', { textDocument: { uri, languageId: 'xml', version: 1, text: xmlDoc } })
+    const published = await client.waitFor(m => m.method === 'textDocument/publishDiagnostics' && m.params.version === 1)
+    expect(published.params.uri).toBe(uri)
+    const dateDiagnostic = published.params.diagnostics.find(d => d.code === 'DOC_DATE_IN_PAST')
+    expect(dateDiagnostic.range.start).toEqual({ line: 4, character: 4 })
+
+    const actions = await client.request('textDocument/codeAction', { textDocument: { uri }, range: dateDiagnostic.range, context: { diagnostics: [dateDiagnostic] } })
+    expect(actions.result.map(a => a.title)).toEqual(['Ignore DOC_DATE_IN_PAST here'])
+
+    client.notify('textDocument/didChange', { textDocument: { uri, version: 2 }, contentChanges: [{ text: xmlDoc.replace('<?xml version="1.0" encoding="UTF-8"?>\n', '') }] })
+    const republished = await client.waitFor(m => m.method === 'textDocument/publishDiagnostics' && m.params.version === 2)
+    expect(republished.params.diagnostics.find(d => d.code === 'DOC_DATE_IN_PAST').range.start.line).toBe(3)
+
+    client.notify('textDocument/didClose', { textDocument: { uri } })
+    const cleared = await client.waitFor(m => m.method === 'textDocument/publishDiagnostics' && !m.params.version)
+    expect(cleared.params.diagnostics).toEqual([])
+
+    expect((await client.request('shutdown')).result).toBeNull()
+    client.notify('exit')
+    await expect(client.exitCode).resolves.toBe(0)
+  })
+  test('should reject requests before initialization and unknown methods', async () => {
+    const client = createClient()
+    expect((await client.request('textDocument/codeAction', {})).error.code).toBe(ERROR_CODES.SERVER_NOT_INITIALIZED)
+    await client.request('initialize', {})
+    expect((await client.request('acme/unknown', {})).error.code).toBe(ERROR_CODES.METHOD_NOT_FOUND)
+    client.notify('exit')
+    await expect(client.exitCode).resolves.toBe(1)
+  })
+})
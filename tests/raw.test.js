@@ -23,6 +23,10 @@ describe('input does not include invalid control chars', () => {
     await expect(validateContent('abc\bdef\tgeh', { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('INVALID_CTRL_CODES', ValidationWarning)
     await expect(validateContent('abc\bdef\tgeh', { mode: MODES.SUBMISSION })).resolves.toHaveLength(0)
   })
+  test('invalid chars positions start at 1', async () => {
+    const [entry] = await validateContent('abc\bdef\n\vgeh')
+    expect(entry.lines).toEqual([{ line: 1, pos: 4 }, { line: 2, pos: 1 }])
+  })
   test('invalid 0B char', async () => {
     await expect(validateContent('abc\vdef')).resolves.toContainError('INVALID_CTRL_CODES', ValidationError)
     await expect(validateContent('abc\vdef', { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('INVALID_CTRL_CODES', ValidationWarning)
@@ -0,0 +1,96 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { toContainError, ValidationComment, ValidationError } from '../lib/helpers/error.mjs'
+import { getValidators, registerValidator, resetValidators, unregisterValidator } from '../lib/helpers/registry.mjs'
+import { ALLOWED_DOMAINS_DEFAULT } from '../lib/config/externals.mjs'
+import { loadProjectConfig } from '../lib/config/project.mjs'
+import { DEFAULT_VALIDATORS } from '../lib/config/validators.mjs'
+import { checkNits } from '../lib/index.mjs'
+
+expect.extend({
+  toContainError
+})
+
+afterEach(() => {
+  resetValidators()
+})
+
+describe('validators registry', () => {
+  test('should contain the built-in validators by default', async () => {
+    expect(getValidators().map(v => v.id)).toEqual(DEFAULT_VALIDATORS.map(v => v.id))
+  })
+  test('should only return validators supporting a document type', async () => {
+    expect(getValidators('txt').map(v => v.id)).toContain('line-length')
+    expect(getValidators('txt').map(v => v.id)).not.toContain('ipr-attribute')
+    expect(getValidators('xml').map(v => v.id)).toContain('ipr-attribute')
+    expect(getValidators('xml').map(v => v.id)).not.toContain('line-length')
+  })
+  test('should register a validator after the built-in ones', async () => {
+    const validate = async () => []
+    registerValidator({ id: 'acme/custom', types: ['xml'], validate })
+    expect(getValidators().at(-1)).toEqual({
+      id: 'acme/custom',
+      progress: 'Running acme/custom...',
+      types: ['xml'],
+      remote: false,
+      validate
+    })
+    expect(getValidators('txt').map(v => v.id)).not.toContain('acme/custom')
+  })
+  test('should unregister a validator', async () => {
+    expect(unregisterValidator('line-length')).toBe(true)
+    expect(unregisterValidator('line-length')).toBe(false)
+    expect(getValidators().map(v => v.id)).not.toContain('line-length')
+  })
+  test('should fail for an invalid validator definition', async () => {
+    const validate = async () => []
+    expect(() => { registerValidator({ id: 'Not Valid', validate }) }).toThrow('Invalid Validator ID')
+    expect(() => { registerValidator({ id: 'line-length', validate }) }).toThrow('already registered')
+    expect(() => { registerValidator({ id: 'custom', types: ['pdf'], validate }) }).toThrow('Invalid Validator Document Types')
+    expect(() => { registerValidator({ id: 'custom' }) }).toThrow('Invalid Validator Function')
+  })
+})
+
+describe('checkNits() should run registered validators', () => {
+  test('custom validator results are included', async () => {
+    const raw = await readFile('tests/fixtures/draft-beep-boop.txt')
+    registerValidator({
+      id: 'custom',
+      validate: async (doc, { mode }) => [new ValidationComment('CUSTOM_NIT', `Checked ${doc.filename} in mode ${mode}.`)]
+    })
+    await expect(checkNits(raw, 'draft-beep-boop.txt', { offline: true })).resolves.toContainError('CUSTOM_NIT', ValidationComment)
+  })
+  test('unregistered validators are not run', async () => {
+    const raw = await readFile('tests/fixtures/draft-beep-boop.txt')
+    await expect(checkNits(raw, 'draft-beep-boop.txt', { offline: true })).resolves.toContainError('LINE_TOO_LONG', ValidationError)
+    unregisterValidator('line-length')
+    const result = await checkNits(raw, 'draft-beep-boop.txt', { offline: true })
+    expect(result.some(r => r.name === 'LINE_TOO_LONG')).toBe(false)
+  })
+  test('remote validators are skipped in offline mode', async () => {
+    const raw = await readFile('tests/fixtures/draft-beep-boop.txt')
+    const validate = jest.fn(async () => [])
+    registerValidator({ id: 'custom-remote', remote: true, validate })
+    await checkNits(raw, 'draft-beep-boop.txt', { offline: true })
+    expect(validate).not.toHaveBeenCalled()
+  })
+  test('validators receive the allowedDomains of the project config', async () => {
+    const raw = await readFile('tests/fixtures/draft-beep-boop.txt')
+    const validate = jest.fn(async () => [])
+    registerValidator({ id: 'custom', validate })
+    await checkNits(raw, 'draft-beep-boop.txt', { offline: true })
+    expect(validate).toHaveBeenLastCalledWith(expect.anything(), expect.objectContaining({ allowedDomains: ALLOWED_DOMAINS_DEFAULT }))
+
+    const rootDir = await mkdtemp(path.join(os.tmpdir(), 'idnits-'))
+    try {
+      await writeFile(path.join(rootDir, '.idnitsrc.yml'), 'allowedDomains:\n  - example.com\n')
+      const { allowedDomains } = await loadProjectConfig(rootDir)
+      await checkNits(raw, 'draft-beep-boop.txt', { offline: true, allowedDomains })
+      expect(validate).toHaveBeenLastCalledWith(expect.anything(), expect.objectContaining({ allowedDomains: ['example.com'] }))
+    } finally {
+      await rm(rootDir, { recursive: true, force: true })
+    }
+  })
+})
@@ -0,0 +1,63 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals'
+import { fetchRemoteDocInfo, fetchRemoteDocInfoJson, fetchRemoteRfcInfo, remoteFetch, REMOTE_CACHE_TTLS, REMOTE_CONCURRENCY_DEFAULT, setRemoteConcurrency, setRemoteFetch } from '../lib/helpers/remote.mjs'
+import { checkReferencesInDownrefs } from '../lib/remote/downref.mjs'
+
+describe('remote lookups', () => {
+  afterEach(() => {
+    setRemoteFetch()
+    setRemoteConcurrency(REMOTE_CONCURRENCY_DEFAULT)
+    jest.restoreAllMocks()
+  })
+
+  test('remoteFetch(): queues requests exceeding the concurrency limit', async () => {
+    setRemoteConcurrency(1)
+    let inFlight = 0
+    let maxInFlight = 0
+    setRemoteFetch(async () => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight)
+      await new Promise(resolve => setTimeout(resolve, 10))
+      inFlight--
+      return new Response('OK')
+    })
+    await Promise.all([1, 2, 3].map(idx => remoteFetch(`https://www.example.com/${idx}`)))
+    expect(maxInFlight).toBe(1)
+  })
+  test('fetchRemoteDocInfo() / fetchRemoteDocInfoJson(): look up documents without their revision', async () => {
+    const fetchImpl = jest.fn(async () => new Response('{"name":"draft-ietf-abcd-efgh"}'))
+    setRemoteFetch(fetchImpl)
+    await expect(fetchRemoteDocInfo('draft-ietf-abcd-efgh-03')).resolves.toEqual({ name: 'draft-ietf-abcd-efgh' })
+    await expect(fetchRemoteDocInfoJson('draft-ietf-abcd-efgh')).resolves.toEqual({ name: 'draft-ietf-abcd-efgh' })
+    expect(fetchImpl.mock.calls.map(([url]) => url)).toEqual([
+      'https://datatracker.ietf.org/api/v1/doc/document/draft-ietf-abcd-efgh/',
+      'https://datatracker.ietf.org/doc/draft-ietf-abcd-efgh/doc.json'
+    ])
+  })
+  test('should warn about failed lookups, unless aborted', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    setRemoteFetch(async () => { throw new TypeError('fetch failed') })
+    await expect(fetchRemoteDocInfo('draft-ietf-abcd-efgh-03')).resolves.toBeUndefined()
+    await expect(fetchRemoteDocInfoJson('draft-ietf-abcd-efgh-03')).resolves.toBeUndefined()
+    await expect(fetchRemoteRfcInfo(8174)).resolves.toBeUndefined()
+    expect(warn).toHaveBeenCalledTimes(3)
+    expect(warn).toHaveBeenCalledWith('fetch failed')
+
+    const ctrl = new AbortController()
+    ctrl.abort()
+    await expect(fetchRemoteDocInfo('draft-ietf-abcd-efgh-03', { signal: ctrl.signal })).rejects.toThrow()
+    await expect(fetchRemoteDocInfoJson('draft-ietf-abcd-efgh-03', { signal: ctrl.signal })).rejects.toThrow()
+    await expect(fetchRemoteRfcInfo(8174, { signal: ctrl.signal })).rejects.toThrow()
+    expect(warn).toHaveBeenCalledTimes(3)
+  })
+  test('checkReferencesInDownrefs(): reloads the Downref Registry once it expires', async () => {
+    const fetchImpl = jest.fn(async () => new Response('<a href="/doc/rfc1234/">RFC 1234</a>'))
+    setRemoteFetch(fetchImpl)
+    await expect(checkReferencesInDownrefs(['RFC 1234', 'RFC 5678'])).resolves.toEqual(['RFC 1234'])
+    await expect(checkReferencesInDownrefs(['RFC 1234'])).resolves.toEqual(['RFC 1234'])
+    expect(fetchImpl).toHaveBeenCalledTimes(1)
+
+    setRemoteFetch(async () => new Response('<a href="/doc/rfc5678/">RFC 5678</a>'))
+    const now = Date.now()
+    jest.spyOn(Date, 'now').mockReturnValue(now + REMOTE_CACHE_TTLS['downref-registry'] + 1000)
+    await expect(checkReferencesInDownrefs(['RFC 1234', 'RFC 5678'])).resolves.toEqual(['RFC 5678'])
+  })
+})
@@ -0,0 +1,352 @@
+import { describe, expect, test } from '@jest/globals'
+import path from 'node:path'
+import { readFile } from 'node:fs/promises'
+import { ValidationComment, ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
+import { formatCompact } from '../lib/reporters/compact.mjs'
+import { formatGitHub } from '../lib/reporters/github.mjs'
+import { formatHTML } from '../lib/reporters/html.mjs'
+import { formatJSON, JSON_SCHEMA_VERSION, toJSONNit } from '../lib/reporters/json.mjs'
+import { formatJUnit } from '../lib/reporters/junit.mjs'
+import { formatLegacy } from '../lib/reporters/legacy.mjs'
+import { formatMarkdown } from '../lib/reporters/markdown.mjs'
+import { toSarif } from '../lib/reporters/sarif.mjs'
+
+const cwd = path.resolve('/drafts')
+const source = [
+  'Internet-Draft',
+  '   This line is intentionally way longer than the maximum allowed line length.',
+  '   See [1].'
+].join('\n')
+
+const reports = [
+  {
+    path: path.join(cwd, 'draft-ietf-beep-boop-00.txt'),
+    source,
+    result: [
+      new ValidationError('LINE_TOO_LONG', 'The document contains over-long lines.', {
+        ref: 'https://authors.ietf.org/en/drafting-in-plaintext#checklist',
+        lines: [{ line: 2, pos: 80 }]
+      }),
+      new ValidationWarning('TEXT_DOC_REF', 'Textual reference found.', { path: 'rfc.middle.t', text: '[1]' }),
+      new ValidationComment('REMOTE_CHECK_TIMEOUT', 'Timed out.')
+    ],
+    suppressed: [
+      new ValidationWarning('TEXT_DOC_REF', 'Textual reference found.', { path: 'rfc.back.t', text: '[2]' })
+    ]
+  },
+  {
+    path: path.join(cwd, 'sub', 'draft-ietf-beep-boop-01.xml'),
+    result: [],
+    error: new Error('Failed to read document')
+  }
+]
+
+describe('SARIF reporter', () => {
+  const log = toSarif(reports, { toolVersion: '3.0.0', cwd })
+  const run = log.runs[0]
+
+  test('should describe the tool and one rule per code', async () => {
+    expect(log.version).toBe('2.1.0')
+    expect(run.tool.driver).toMatchObject({ name: 'idnits', version: '3.0.0' })
+    expect(run.tool.driver.rules).toEqual([
+      { id: 'LINE_TOO_LONG', helpUri: 'https://authors.ietf.org/en/drafting-in-plaintext#checklist', defaultConfiguration: { level: 'error' } },
+      { id: 'TEXT_DOC_REF', defaultConfiguration: { level: 'warning' } },
+      { id: 'REMOTE_CHECK_TIMEOUT', defaultConfiguration: { level: 'note' } }
+    ])
+  })
+  test('should map severities to levels and lines to physical locations', async () => {
+    expect(run.results.map(r => [r.ruleId, r.ruleIndex, r.level])).toEqual([
+      ['LINE_TOO_LONG', 0, 'error'],
+      ['TEXT_DOC_REF', 1, 'warning'],
+      ['REMOTE_CHECK_TIMEOUT', 2, 'note'],
+      ['TEXT_DOC_REF', 1, 'warning']
+    ])
+    expect(run.results[0].locations).toEqual([{
+      physicalLocation: {
+        artifactLocation: { uri: 'draft-ietf-beep-boop-00.txt', uriBaseId: '%SRCROOT%' },
+        region: { startLine: 2, startColumn: 80 }
+      }
+    }])
+    expect(run.results[1].locations[0].logicalLocations).toEqual([{ fullyQualifiedName: 'rfc.middle.t', kind: 'element' }])
+    expect(run.results[1].message.text).toBe('Textual reference found. ([1])')
+  })
+  test('should include suppressed results as in-source suppressions', async () => {
+    expect(run.results[3].suppressions).toEqual([{ kind: 'inSource' }])
+    expect(run.results.slice(0, 3).every(r => !r.suppressions)).toBe(true)
+  })
+  test('should report documents that could not be validated', async () => {
+    expect(run.artifacts.map(a => a.location.uri)).toEqual(['draft-ietf-beep-boop-00.txt', 'sub/draft-ietf-beep-boop-01.xml'])
+    expect(run.invocations[0].executionSuccessful).toBe(false)
+    expect(run.invocations[0].toolExecutionNotifications[0].message.text).toBe('Failed to read document')
+  })
+})
+
+describe('JUnit reporter', () => {
+  const [lineTooLong, textDocRef, timeout] = reports[0].result
+  const junitReports = [
+    {
+      ...reports[0],
+      validators: [
+        { id: 'filename', result: [] },
+        { id: 'line-length', result: [lineTooLong] },
+        { id: 'text-like-refs', result: [textDocRef] },
+        { id: 'downrefs', result: [timeout] }
+      ]
+    },
+    reports[1]
+  ]
+
+  test('should report a testsuite per document and a testcase per validator', async () => {
+    const xml = formatJUnit(junitReports, { cwd })
+    expect(xml).toContain('<testsuites name="idnits" tests="5" failures="2" errors="1" skipped="0">')
+    expect(xml).toContain('<testsuite name="draft-ietf-beep-boop-00.txt" tests="4" failures="2" errors="0" skipped="0">')
+    expect(xml).toContain('<testcase classname="draft-ietf-beep-boop-00.txt" name="filename"/>')
+    expect(xml).toContain('<failure message="1 nit(s): LINE_TOO_LONG" type="LINE_TOO_LONG">ERROR LINE_TOO_LONG: The document contains over-long lines. [Ln 2 Col 80] - https://authors.ietf.org/en/drafting-in-plaintext#checklist</failure>')
+    expect(xml).toContain('<system-out>COMMENT REMOTE_CHECK_TIMEOUT: Timed out.</system-out>')
+    expect(xml).toContain('<testcase classname="sub/draft-ietf-beep-boop-01.xml" name="validation">\n      <error message="Failed to read document"/>')
+  })
+  test('should report warnings as skipped if requested', async () => {
+    const xml = formatJUnit(junitReports, { cwd, warnings: 'skipped' })
+    expect(xml).toContain('<testsuite name="draft-ietf-beep-boop-00.txt" tests="4" failures="1" errors="0" skipped="1">')
+    expect(xml).toContain('<skipped message="1 warning(s): TEXT_DOC_REF"/>')
+    expect(xml).toContain('<system-out>WARNING TEXT_DOC_REF: Textual reference found. ([1]) [rfc.middle.t]</system-out>')
+  })
+  test('should escape XML special characters', async () => {
+    const xml = formatJUnit([{ path: path.join(cwd, 'draft.xml'), result: [new ValidationError('TEST', 'Use <t> & "quotes"')] }], { cwd })
+    expect(xml).toContain('<testcase classname="draft.xml" name="idnits">')
+    expect(xml).toContain('ERROR TEST: Use &lt;t&gt; &amp; &quot;quotes&quot;')
+  })
+})
+
+describe('GitHub reporter', () => {
+  test('should print a workflow command per location', async () => {
+    expect(formatGitHub(reports, { cwd }).split('\n')).toEqual([
+      '::error file=draft-ietf-beep-boop-00.txt,line=2,col=80,title=LINE_TOO_LONG::The document contains over-long lines.%0ARef: https://authors.ietf.org/en/drafting-in-plaintext#checklist',
+      '::warning file=draft-ietf-beep-boop-00.txt,title=TEXT_DOC_REF (rfc.middle.t)::Textual reference found.%0AText: [1]',
+      '::notice file=draft-ietf-beep-boop-00.txt,title=REMOTE_CHECK_TIMEOUT::Timed out.',
+      '::error file=sub/draft-ietf-beep-boop-01.xml,title=Validation failed::Failed to read document'
+    ])
+  })
+  test('should escape properties and messages', async () => {
+    const commands = formatGitHub([{ path: path.join(cwd, 'a,b.xml'), result: [new ValidationComment('TEST', '100% done:\nyes')] }], { cwd })
+    expect(commands).toBe('::notice file=a%2Cb.xml,title=TEST::100%25 done:%0Ayes')
+  })
+  test('should clamp positions to 1', async () => {
+    const result = [new ValidationError('TEST', 'Test', { lines: [{ line: 35, pos: 0 }, { line: 36 }] })]
+    expect(formatGitHub([{ path: path.join(cwd, 'draft.xml'), result }], { cwd }).split('\n')).toEqual([
+      '::error file=draft.xml,line=35,col=1,title=TEST::Test',
+      '::error file=draft.xml,line=36,col=1,title=TEST::Test'
+    ])
+  })
+})
+
+describe('Compact reporter', () => {
+  test('should print a line per location', async () => {
+    expect(formatCompact(reports, { cwd }).split('\n')).toEqual([
+      'draft-ietf-beep-boop-00.txt:2:80: error LINE_TOO_LONG: The document contains over-long lines.',
+      'draft-ietf-beep-boop-00.txt: warning TEXT_DOC_REF: Textual reference found. ([1]) [rfc.middle.t]',
+      'draft-ietf-beep-boop-00.txt: note REMOTE_CHECK_TIMEOUT: Timed out.',
+      `${path.join('sub', 'draft-ietf-beep-boop-01.xml')}: error: Failed to read document`
+    ])
+  })
+  test('should print one line for each line of a result', async () => {
+    const result = [new ValidationWarning('TEST', 'Test', { lines: [{ line: 3, pos: 1 }, { line: 7, pos: 12 }] })]
+    expect(formatCompact([{ path: path.join(cwd, 'draft.txt'), result }], { cwd })).toBe('draft.txt:3:1: warning TEST: Test\ndraft.txt:7:12: warning TEST: Test')
+  })
+  test('should clamp positions to 1', async () => {
+    const result = [new ValidationError('TEST', 'Test', { lines: [{ line: 35, pos: 0 }, { line: 36 }] })]
+    expect(formatCompact([{ path: path.join(cwd, 'draft.xml'), result }], { cwd })).toBe('draft.xml:35:1: error TEST: Test\ndraft.xml:36:1: error TEST: Test')
+  })
+})
+
+describe('HTML reporter', () => {
+  const html = formatHTML(reports, { toolVersion: '3.0.0', cwd })
+
+  test('should be a standalone document', async () => {
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true)
+    expect(html).toContain('<style>')
+    expect(html).not.toMatch(/<(script|link)\b/)
+  })
+  test('should highlight results at their line and column', async () => {
+    expect(html).toContain('<div class="line error" id="d0-l2"><span class="ln">2</span><span>   This line is intentionally way longer than the maximum allowed line length.<mark class="error" title="LINE_TOO_LONG: The document contains over-long lines."> </mark></span></div>')
+    expect(html).toContain('<div class="annotation error">LINE_TOO_LONG: The document contains over-long lines. <a href="https://authors.ietf.org/en/drafting-in-plaintext#checklist" target="_blank" rel="noopener">guidance</a></div>')
+    expect(html).toContain('<div class="line" id="d0-l3"><span class="ln">3</span><span>   See [1].</span></div>')
+  })
+  test('should list results grouped by severity and code', async () => {
+    expect(html).toContain('<summary><span class="badge error">1</span> Errors</summary><h4>LINE_TOO_LONG <span class="muted">(1)</span></h4><ul><li><a href="#d0-l2">Ln 2 Col 80</a> - ')
+    expect(html).toContain('<summary><span class="badge warning">1</span> Warnings</summary><h4>TEXT_DOC_REF <span class="muted">(1)</span></h4><ul><li><span class="muted">rfc.middle.t</span> - Textual reference found. <code>[1]</code></li></ul>')
+    expect(html).toContain('1 nit(s) suppressed by inline directives.')
+  })
+  test('should report documents that could not be validated', async () => {
+    expect(html).toContain('<p class="failure">Validation failed: Failed to read document</p>')
+  })
+  test('should locate XML results from their path', async () => {
+    const source = '<rfc>\n  <front>\n    <date year="2020"/>\n  </front>\n</rfc>'
+    const result = [new ValidationWarning('DOC_DATE_IN_PAST', 'Date in the past.', { path: 'rfc.front.date' })]
+    const xmlHtml = formatHTML([{ path: path.join(cwd, 'draft.xml'), source, result }], { cwd })
+    expect(xmlHtml).toContain('<div class="line warning" id="d0-l3"><span class="ln">3</span><span>    <mark class="warning" title="DOC_DATE_IN_PAST: Date in the past.">&lt;</mark>date year=&quot;2020&quot;/&gt;</span></div><div class="annotation warning">DOC_DATE_IN_PAST: Date in the past.</div>')
+    expect(xmlHtml).toContain('<li><a href="#d0-l3">Ln 3 Col 5</a>, <span class="muted">rfc.front.date</span> - Date in the past.</li>')
+  })
+  test('should escape the document source', async () => {
+    const xmlHtml = formatHTML([{ path: path.join(cwd, 'draft.xml'), source: '<rfc>&amp;</rfc>', result: [] }], { cwd })
+    expect(xmlHtml).toContain('<span>&lt;rfc&gt;&amp;amp;&lt;/rfc&gt;</span>')
+  })
+})
+
+describe('Markdown reporter', () => {
+  const markdown = formatMarkdown(reports, { toolVersion: '3.0.0', cwd })
+
+  test('should start with a summary table of counts by severity', async () => {
+    expect(markdown).toContain([
+      '| Document | Result | Errors | Warnings | Comments |',
+      '|---|---|--:|--:|--:|',
+      '| `draft-ietf-beep-boop-00.txt` | ❌ Fail | 1 | 1 | 1 |',
+      `| \`${path.join('sub', 'draft-ietf-beep-boop-01.xml')}\` | ❗ Error | - | - | - |`,
+      '| **Total** | | **1** | **1** | **1** |'
+    ].join('\n'))
+  })
+  test('should list results in a collapsible section per code, quoting source lines', async () => {
+    expect(markdown).toContain([
+      '<details>',
+      '<summary>❌ <strong>LINE_TOO_LONG</strong> (error, 1)</summary>',
+      '',
+      '- The document contains over-long lines. - Ln 2 Col 80 ([guidance](https://authors.ietf.org/en/drafting-in-plaintext#checklist))',
+      '',
+      '  ```',
+      '  2 |    This line is intentionally way longer than the maximum allowed line length.',
+      '  ```',
+      '',
+      '',
+      '</details>'
+    ].join('\n'))
+    expect(markdown).toContain('- Textual reference found. `[1]` - `rfc.middle.t`')
+    expect(markdown).toContain('_1 nit(s) suppressed by inline directives._')
+    expect(markdown).toContain('> **Validation failed:** Failed to read document')
+  })
+  test('should not have a total row for a single document', async () => {
+    expect(formatMarkdown([reports[0]], { cwd })).not.toContain('**Total**')
+  })
+  test('should escape messages', async () => {
+    const result = [new ValidationWarning('TEST', 'Use <artwork> | *not* text')]
+    expect(formatMarkdown([{ path: path.join(cwd, 'draft.xml'), result }], { cwd })).toContain('- Use \\<artwork\\> \\| \\*not\\* text')
+  })
+})
+
+describe('Legacy reporter', () => {
+  const [lineTooLong, textDocRef, timeout] = reports[0].result
+  const legacy = formatLegacy([
+    {
+      ...reports[0],
+      validators: [
+        { id: 'line-length', result: [lineTooLong] },
+        { id: 'text-like-refs', result: [textDocRef] },
+        { id: 'my-custom-check', result: [timeout] }
+      ]
+    },
+    reports[1]
+  ], { toolVersion: '3.0.0', cwd })
+
+  test('should arrange results in the idnits 2.x sections', async () => {
+    expect(legacy).toContain([
+      'idnits 3.0.0',
+      '',
+      'draft-ietf-beep-boop-00.txt:',
+      '',
+      '  Checking boilerplate required by RFC 5378 and the IETF Trust (see',
+      '  https://trustee.ietf.org/license-info):',
+      `  ${'-'.repeat(76)}`,
+      '',
+      '     No issues found here.',
+      '',
+      '  Checking nits according to https://www.ietf.org/id-info/1id-guidelines.txt:',
+      `  ${'-'.repeat(76)}`,
+      '',
+      '  ** The document contains over-long lines on line 2.',
+      ''
+    ].join('\n'))
+    expect(legacy).toContain([
+      '  Miscellaneous warnings:',
+      `  ${'-'.repeat(76)}`,
+      '',
+      "  == Textual reference found: '[1]' (at rfc.middle.t).",
+      '',
+      '  -- Timed out.',
+      ''
+    ].join('\n'))
+    expect(legacy).not.toContain('Checking references for intended status')
+  })
+  test('should end with the idnits 2.x summary line', async () => {
+    expect(legacy).toContain('     Summary: 1 error (**), 0 flaws (~~), 1 warning (==), 1 comment (--).')
+    expect(formatLegacy([{ path: path.join(cwd, 'draft.txt'), result: [] }], { cwd })).toContain('Summary: 0 errors (**), 0 flaws (~~), 0 warnings (==), 0 comments (--).')
+  })
+  test('should report documents that failed validation', async () => {
+    expect(legacy).toContain(`${path.join('sub', 'draft-ietf-beep-boop-01.xml')}:\n\n  ** Validation failed: Failed to read document`)
+  })
+  test('should wrap long results', async () => {
+    const result = [new ValidationError('TEST', 'word '.repeat(30))]
+    const lines = formatLegacy([{ path: path.join(cwd, 'draft.txt'), result }], { cwd }).split('\n')
+    const idx = lines.findIndex(l => l.startsWith('  ** word'))
+    expect(lines[idx].length).toBeLessThanOrEqual(78)
+    expect(lines[idx + 1]).toMatch(/^ {5}word/)
+  })
+})
+
+describe('JSON reporter', () => {
+  const jsonReports = [
+    { ...reports[0], size: 245, mode: 'normal', document: { type: 'txt', kind: 'draft', docName: 'draft-ietf-beep-boop-00', version: '00' } },
+    reports[1]
+  ]
+
+  test('should convert result entries with their severity, path, text and lines', async () => {
+    const [lineTooLong, textDocRef] = reports[0].result
+    expect(toJSONNit(lineTooLong)).toEqual({
+      code: 'LINE_TOO_LONG',
+      ruleId: 'LINE_TOO_LONG',
+      severity: 'error',
+      desc: 'The document contains over-long lines.',
+      ref: 'https://authors.ietf.org/en/drafting-in-plaintext#checklist',
+      lines: [{ line: 2, pos: 80 }]
+    })
+    expect(toJSONNit(textDocRef)).toEqual({
+      code: 'TEXT_DOC_REF',
+      ruleId: 'TEXT_DOC_REF',
+      severity: 'warning',
+      desc: 'Textual reference found.',
+      path: 'rfc.middle.t',
+      text: '[1]'
+    })
+  })
+  test('should include the schema version, tool, mode, file size and document metadata', async () => {
+    const json = JSON.parse(formatJSON(jsonReports, { toolVersion: '3.0.0' }))
+    expect(json).toHaveLength(2)
+    expect(json[0]).toEqual(expect.objectContaining({
+      schemaVersion: JSON_SCHEMA_VERSION,
+      tool: { name: 'idnits', version: '3.0.0' },
+      result: 'fail',
+      mode: 'normal',
+      file: { path: path.join(cwd, 'draft-ietf-beep-boop-00.txt'), size: 245 },
+      document: { type: 'txt', kind: 'draft', docName: 'draft-ietf-beep-boop-00', version: '00' }
+    }))
+    expect(json[0].nits.map(n => n.severity)).toEqual(['error', 'warning', 'comment'])
+    expect(json[0].suppressed[0]).toEqual(expect.objectContaining({ code: 'TEXT_DOC_REF', path: 'rfc.back.t' }))
+    expect(json[0]).not.toHaveProperty('known')
+    expect(json[1]).toEqual(expect.objectContaining({ result: 'error', error: 'Failed to read document', mode: null, document: null }))
+    expect(json[1].file.size).toBeNull()
+  })
+  test('should return an object for a single document, unless batch is set', async () => {
+    expect(JSON.parse(formatJSON([jsonReports[0]]))).toEqual(expect.objectContaining({ result: 'fail' }))
+    expect(JSON.parse(formatJSON([jsonReports[0]], { batch: true }))).toHaveLength(1)
+    expect(JSON.parse(formatJSON([{ ...jsonReports[0], known: [reports[0].result[0]] }])).known).toBe(1)
+  })
+  test('should match the required properties of the JSON schema', async () => {
+    const schema = JSON.parse(await readFile(new URL('../lib/reporters/json.schema.json', import.meta.url), 'utf8'))
+    const [json] = JSON.parse(formatJSON(jsonReports))
+    expect(schema.$defs.report.properties.schemaVersion.const).toBe(JSON_SCHEMA_VERSION)
+    expect(Object.keys(json)).toEqual(expect.arrayContaining(schema.$defs.report.required))
+    expect(Object.keys(json).every(key => key in schema.$defs.report.properties)).toBe(true)
+    for (const nit of json.nits) {
+      expect(Object.keys(nit)).toEqual(expect.arrayContaining(schema.$defs.nit.required))
+      expect(Object.keys(nit).every(key => key in schema.$defs.nit.properties)).toBe(true)
+    }
+  })
+})
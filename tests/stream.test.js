@@ -0,0 +1,158 @@
+import { afterEach, describe, expect, test } from '@jest/globals'
+import { ValidationComment, ValidationWarning } from '../lib/helpers/error.mjs'
+import { registerValidator, resetValidators } from '../lib/helpers/registry.mjs'
+import { checkNits, streamNits } from '../lib/index.mjs'
+
+afterEach(() => {
+  resetValidators()
+})
+
+const xmlDoc = `<?xml version="1.0" encoding="UTF-8"?>
+<rfc docName="draft-ietf-beep-boop-00" version="3">
+  <front>
+    <title>Beep Boop</title>
+  </front>
+  <middle>
+    <section>
+      <?idnits ignore ACME_SUPPRESSED?>
+      <t>Hello</t>
+    </section>
+  </middle>
+</rfc>
+`
+
+async function collect (iterator) {
+  const events = []
+  for await (const event of iterator) {
+    events.push(event)
+  }
+  return events
+}
+
+describe('streamNits()', () => {
+  test('should yield progress events for each validation step', async () => {
+    const events = await collect(streamNits(Buffer.from(xmlDoc), 'draft-ietf-beep-boop-00.xml', { offline: true }))
+    const progressSteps = events.filter(e => e.type === 'progress').map(e => e.validator)
+    expect(progressSteps.slice(0, 5)).toEqual(['filename', 'encoding', 'decode', 'content', 'parse'])
+    expect(progressSteps).toContain('ipr-attribute')
+    expect(progressSteps).not.toContain('fqdns')
+    expect(events.find(e => e.validator === 'parse').message).toBe('Parsing XML document...')
+  })
+  test('should yield the same results as checkNits()', async () => {
+    const events = await collect(streamNits(Buffer.from(xmlDoc), 'draft-ietf-beep-boop-00.xml', { offline: true }))
+    const result = await checkNits(Buffer.from(xmlDoc), 'draft-ietf-beep-boop-00.xml', { offline: true })
+    expect(events.filter(e => e.type === 'nit').map(e => e.entry)).toEqual([...result])
+  })
+  test('should yield results of fast validators while slower ones are still running', async () => {
+    let releaseSlowValidator = null
+    registerValidator({
+      id: 'acme/slow',
+      types: ['xml'],
+      validate: () => new Promise(resolve => { releaseSlowValidator = () => resolve([new ValidationComment('ACME_SLOW', 'Slow')]) })
+    })
+    registerValidator({
+      id: 'acme/fast',
+      types: ['xml'],
+      validate: async () => [new ValidationWarning('ACME_FAST', 'Fast'), new ValidationWarning('ACME_SUPPRESSED', 'Test', { path: 'rfc.middle.section.t' })]
+    })
+
+    const events = []
+    for await (const event of streamNits(Buffer.from(xmlDoc), 'draft-ietf-beep-boop-00.xml', { offline: true, rules: { ACME_FAST: 'comment' } })) {
+      events.push(event)
+      if (event.type === 'suppressed' && event.validator === 'acme/fast') {
+        expect(events.some(e => e.validator === 'acme/slow' && e.type !== 'progress')).toBe(false)
+        releaseSlowValidator()
+      }
+    }
+    const customEvents = events.filter(e => e.validator.startsWith('acme/') && e.type !== 'progress')
+    expect(customEvents.map(e => [e.type, e.entry.name])).toEqual([
+      ['nit', 'ACME_FAST'],
+      ['suppressed', 'ACME_SUPPRESSED'],
+      ['nit', 'ACME_SLOW']
+    ])
+    expect(customEvents[0].entry).toBeInstanceOf(ValidationComment)
+  })
+  test('checkNits() should return results in validators order, regardless of completion order', async () => {
+    registerValidator({
+      id: 'acme/slow',
+      types: ['xml'],
+      validate: () => new Promise(resolve => setTimeout(() => resolve([new ValidationComment('ACME_SLOW', 'Slow')]), 20))
+    })
+    registerValidator({
+      id: 'acme/fast',
+      types: ['xml'],
+      validate: async () => [new ValidationComment('ACME_FAST', 'Fast')]
+    })
+    const result = await checkNits(Buffer.from(xmlDoc), 'draft-ietf-beep-boop-00.xml', { offline: true })
+    expect(result.slice(-2).map(r => r.name)).toEqual(['ACME_SLOW', 'ACME_FAST'])
+    expect(result.validators[0].id).toBe('filename')
+    expect(result.validators.at(-1)).toEqual({ id: 'acme/fast', result: [result.at(-1)], suppressed: [] })
+  })
+  test('should yield the parsing error and stop', async () => {
+    const events = await collect(streamNits(Buffer.from('<rfc><!-- Unclosed comment </rfc>'), 'draft-ietf-beep-boop-00.xml', { offline: true }))
+    expect(events.at(-1)).toEqual(expect.objectContaining({ type: 'nit', validator: 'parse' }))
+    expect(events.at(-1).entry.name).toBe('XML_PARSING_FAILED')
+  })
+  test('should yield the document metadata once parsed', async () => {
+    const events = await collect(streamNits(Buffer.from(xmlDoc), 'draft-ietf-beep-boop-00.xml', { offline: true }))
+    const documentEvents = events.filter(e => e.type === 'document')
+    expect(documentEvents).toEqual([{
+      type: 'document',
+      validator: 'parse',
+      document: { type: 'xml', kind: 'draft', docName: 'draft-ietf-beep-boop-00', version: '00' }
+    }])
+    expect(events.indexOf(documentEvents[0])).toBeGreaterThan(events.findIndex(e => e.validator === 'parse'))
+    const result = await checkNits(Buffer.from(xmlDoc), 'draft-ietf-beep-boop-00.xml', { offline: true })
+    expect(result.document).toEqual(documentEvents[0].document)
+    const failedResult = await checkNits(Buffer.from('<rfc><!-- Unclosed comment </rfc>'), 'draft-ietf-beep-boop-00.xml', { offline: true })
+    expect(failedResult.document).toBeNull()
+  })
+  test('should report validators exceeding the time limit as a comment', async () => {
+    registerValidator({ id: 'acme/hanging', types: ['xml'], validate: () => new Promise(() => {}) })
+    const result = await checkNits(Buffer.from(xmlDoc), 'draft-ietf-beep-boop-00.xml', { offline: true, timeout: 20 })
+    const timeoutEntries = result.filter(r => r.name === 'REMOTE_CHECK_TIMEOUT')
+    expect(timeoutEntries).toHaveLength(1)
+    expect(timeoutEntries[0]).toBeInstanceOf(ValidationComment)
+    expect(timeoutEntries[0].text).toBe('acme/hanging')
+  })
+  test('should stop when the signal is aborted', async () => {
+    const controller = new AbortController()
+    registerValidator({
+      id: 'acme/cancel',
+      types: ['xml'],
+      validate: async () => {
+        controller.abort(new Error('Cancelled'))
+        return []
+      }
+    })
+    await expect(checkNits(Buffer.from(xmlDoc), 'draft-ietf-beep-boop-00.xml', { offline: true, signal: controller.signal })).rejects.toThrow('Cancelled')
+    await expect(checkNits(Buffer.from(xmlDoc), 'draft-ietf-beep-boop-00.xml', { offline: true, signal: controller.signal })).rejects.toThrow('Cancelled')
+  })
+  test('should cancel pending validators when a validator fails', async () => {
+    let pendingSignal = null
+    registerValidator({
+      id: 'acme/pending',
+      types: ['xml'],
+      validate: (doc, { signal }) => new Promise(() => { pendingSignal = signal })
+    })
+    registerValidator({ id: 'acme/failing', types: ['xml'], validate: async () => { throw new Error('Validator failed') } })
+    await expect(checkNits(Buffer.from(xmlDoc), 'draft-ietf-beep-boop-00.xml', { offline: true })).rejects.toThrow('Validator failed')
+    expect(pendingSignal.aborted).toBe(true)
+  })
+  test('should cancel pending validators when the consumer stops iterating', async () => {
+    let pendingSignal = null
+    registerValidator({
+      id: 'acme/pending',
+      types: ['xml'],
+      validate: (doc, { signal }) => new Promise(() => { pendingSignal = signal })
+    })
+    registerValidator({ id: 'acme/fast', types: ['xml'], validate: async () => [new ValidationWarning('ACME_FAST', 'Fast')] })
+    for await (const event of streamNits(Buffer.from(xmlDoc), 'draft-ietf-beep-boop-00.xml', { offline: true })) {
+      if (event.type === 'nit' && event.validator === 'acme/fast') {
+        expect(pendingSignal.aborted).toBe(false)
+        break
+      }
+    }
+    expect(pendingSignal.aborted).toBe(true)
+  })
+})
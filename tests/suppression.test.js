@@ -0,0 +1,91 @@
+import { describe, expect, test } from '@jest/globals'
+import { ValidationError, ValidationWarning } from '../lib/helpers/error.mjs'
+import { applySuppressions } from '../lib/helpers/suppression.mjs'
+import { parse as parseXML } from '../lib/parsers/xml.mjs'
+import { parse as parseTXT } from '../lib/parsers/txt.mjs'
+import { checkNits } from '../lib/index.mjs'
+
+const xmlDoc = `<?xml version="1.0" encoding="UTF-8"?>
+<?idnits ignore FILENAME_DOCNAME_MISMATCH?>
+<rfc docName="draft-ietf-beep-boop-00" version="3">
+  <front>
+    <title>Beep Boop</title>
+  </front>
+  <middle>
+    <section>
+      <?idnits ignore INVALID_IPV4_ADDRESS, TEXT_DOC_REF?>
+      <t>The address is 1.2.3.4.5 as seen in [1].</t>
+    </section>
+    <section>
+      <t>The address is 2.3.4.5.6 as seen in [2].</t>
+    </section>
+  </middle>
+</rfc>
+`
+
+describe('XML suppression directives', () => {
+  test('directives are extracted with the path of the enclosing element', async () => {
+    const doc = await parseXML(xmlDoc, 'draft-ietf-beep-boop-00.xml')
+    expect(doc.suppressions).toEqual([
+      { codes: ['FILENAME_DOCNAME_MISMATCH'], path: '' },
+      { codes: ['INVALID_IPV4_ADDRESS', 'TEXT_DOC_REF'], path: 'rfc.middle.section[0]' }
+    ])
+  })
+  test('only results inside the enclosing element are suppressed', async () => {
+    const doc = await parseXML(xmlDoc, 'draft-ietf-beep-boop-00.xml')
+    const { active, suppressed } = applySuppressions(doc, [
+      new ValidationWarning('TEXT_DOC_REF', 'Test', { path: 'rfc.middle.section[0].t' }),
+      new ValidationWarning('TEXT_DOC_REF', 'Test', { path: 'rfc.middle.section[1].t' }),
+      new ValidationError('INVALID_IPV4_ADDRESS', 'Test'),
+      new ValidationError('FILENAME_DOCNAME_MISMATCH', 'Test')
+    ])
+    expect(active.map(r => [r.name, r.path])).toEqual([
+      ['TEXT_DOC_REF', 'rfc.middle.section[1].t'],
+      ['INVALID_IPV4_ADDRESS', undefined]
+    ])
+    expect(suppressed.map(r => [r.name, r.path])).toEqual([
+      ['TEXT_DOC_REF', 'rfc.middle.section[0].t'],
+      ['FILENAME_DOCNAME_MISMATCH', undefined]
+    ])
+  })
+  test('checkNits() excludes suppressed results', async () => {
+    const result = await checkNits(Buffer.from(xmlDoc), 'draft-ietf-beep-boop-01.xml', { offline: true })
+    expect(result.filter(r => r.name === 'TEXT_DOC_REF').map(r => r.path)).toEqual(['rfc.middle.section[1].t'])
+    expect(result.some(r => r.name === 'FILENAME_DOCNAME_MISMATCH')).toBe(false)
+    expect(result.suppressed.map(r => r.name)).toEqual(['FILENAME_DOCNAME_MISMATCH', 'TEXT_DOC_REF'])
+  })
+})
+
+describe('TXT suppression directives', () => {
+  const txtDoc = [
+    'Network Working Group                                          A. Author',
+    'Internet-Draft                                                  1 January 2024',
+    '',
+    '                                Beep Boop',
+    '                         draft-ietf-beep-boop-00',
+    '',
+    'Abstract',
+    '',
+    '   <?idnits ignore LINE_TOO_LONG, COMMENT_OUT_OF_CODE_BLOCK?>',
+    '   This line is intentionally way longer than the maximum allowed line length.',
+    '',
+    '   This line is intentionally way longer than the maximum allowed line length too.'
+  ].join('\n')
+
+  test('directives are extracted with the line they cover', async () => {
+    const doc = await parseTXT(txtDoc, 'draft-ietf-beep-boop-00.txt')
+    expect(doc.suppressions).toEqual([
+      { codes: ['LINE_TOO_LONG', 'COMMENT_OUT_OF_CODE_BLOCK'], lines: [9, 10] }
+    ])
+  })
+  test('only results on the covered lines are suppressed', async () => {
+    const doc = await parseTXT(txtDoc, 'draft-ietf-beep-boop-00.txt')
+    const { active, suppressed } = applySuppressions(doc, [
+      new ValidationError('LINE_TOO_LONG', 'Test', { lines: [{ line: 10, pos: 80 }] }),
+      new ValidationError('LINE_TOO_LONG', 'Test', { lines: [{ line: 12, pos: 84 }] }),
+      new ValidationError('LINE_TOO_LONG', 'Test')
+    ])
+    expect(active.map(r => r.lines?.[0].line)).toEqual([12, undefined])
+    expect(suppressed.map(r => r.lines?.[0].line)).toEqual([10])
+  })
+})
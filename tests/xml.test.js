@@ -94,6 +94,13 @@ describe('XML document should not contain <CODE BEGINS> tags', () => {
     await expect(validateCodeBlocks(doc, { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('MISSING_SOURCECODE_TAG', ValidationWarning)
     await expect(validateCodeBlocks(doc, { mode: MODES.SUBMISSION })).resolves.toHaveLength(0)
   })
+  test('path of the offending element starts with a single rfc segment', async () => {
+    const doc = cloneDeep(baseXMLDoc)
+    set(doc, 'data.rfc.middle.section.sourcecode', '<CODE BEGINS>test')
+    set(doc, 'data.rfc.middle.section.t', '<CODE BEGINS>test')
+    const result = await validateCodeBlocks(doc)
+    expect(result.map(entry => entry.path).sort()).toEqual(['rfc.middle.section.sourcecode', 'rfc.middle.section.t'])
+  })
 })
 
 describe('XML document should not contain text document refs', () => {
@@ -116,6 +123,12 @@ describe('XML document should not contain text document refs', () => {
     await expect(validateTextLikeRefs(doc, { mode: MODES.FORGIVE_CHECKLIST })).resolves.toContainError('TEXT_DOC_REF', ValidationWarning)
     await expect(validateTextLikeRefs(doc, { mode: MODES.SUBMISSION })).resolves.toHaveLength(0)
   })
+  test('path of the offending element starts with a single rfc segment', async () => {
+    const doc = cloneDeep(baseXMLDoc)
+    set(doc, 'data.rfc.middle.section.t', ['valid text', 'test [1] test'])
+    const result = await validateTextLikeRefs(doc)
+    expect(result.map(entry => entry.path)).toEqual(['rfc.middle.section.t[1]'])
+  })
 })
 
 describe('XML document should have a valid submission type', () => {